@@ -5,6 +5,10 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./db');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { getStorage } = require('./services/storage');
+const { getMailTransport } = require('./services/mail');
+const { registerNotificationListeners } = require('./services/notifications/listeners');
+const apiRoutes = require('./routes');
 
 // Load environment variables
 require('dotenv').config();
@@ -12,12 +16,30 @@ require('dotenv').config();
 // Connect to database
 connectDB();
 
+// Fail at startup, not on the first reset email, when production has no
+// mail transport configured
+getMailTransport();
+
 const app = express();
 
+// Behind a reverse proxy every request comes from the proxy's address, which
+// would make the rate limit and login lockouts shared by all clients.
+// TRUST_PROXY tells Express which proxies to believe in X-Forwarded-For: a
+// hop count ("1"), "true", or addresses and subnets ("loopback, 10.0.0.0/8").
+const parseTrustProxy = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
+
 // CORS configuration
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: true
 };
@@ -31,9 +53,10 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Rate limiting middleware - limit to 100 requests per 15 minutes per IP
+// (RATE_LIMIT_MAX raises it, e.g. for the test suite)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100,
+  max: parseInt(process.env.RATE_LIMIT_MAX) || 100,
   message: {
     success: false,
     message: 'Too many requests from this IP, please try again after 15 minutes'
@@ -46,9 +69,24 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded photos, served straight from the local disk storage
+if (getStorage().root) {
+  app.use('/uploads', express.static(getStorage().root, {
+    setHeaders: (res) => {
+      // Let the frontend embed photos from another origin
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
+// Turn adoption, listing and messaging events into inbox notifications
+registerNotificationListeners();
+
 // Routes
-app.use('/api/auth', require('./routes/authRoutes'));
-app.use('/api/dogs', require('./routes/dogRoutes'));
+apiRoutes.forEach(({ path, router }) => app.use(path, router));
+
+// OpenAPI document and interactive docs
+app.use('/api', require('./routes/docsRoutes'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -68,6 +106,13 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       dogs: '/api/dogs',
+      applications: '/api/applications',
+      organizations: '/api/organizations',
+      savedSearches: '/api/saved-searches',
+      notifications: '/api/notifications',
+      conversations: '/api/conversations',
+      stats: '/api/stats',
+      docs: '/api/docs',
       health: '/api/health'
     }
   });
@@ -0,0 +1,235 @@
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const { revokeAllSessions } = require('../services/tokenService');
+const { removeListing, purgeRemovedDogs, getRetentionDays } = require('../services/dogListings');
+const { unlockLogin } = require('../services/loginThrottle');
+const { escapeRegex } = require('../utils/search');
+
+// Admins manage other accounts, never their own
+const isSelf = (req) => req.params.id === req.user._id.toString();
+
+// @desc    List users
+// @route   GET /api/admin/users
+// @access  Private (admin)
+const getUsers = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { role, suspended, q } = req.query;
+
+    // Build filter
+    const filter = {};
+    if (role) {
+      filter.role = role;
+    }
+    if (typeof suspended === 'boolean') {
+      filter.suspendedAt = suspended ? { $ne: null } : null;
+    }
+    if (q) {
+      filter.username = new RegExp(escapeRegex(q), 'i');
+    }
+
+    const users = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await User.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalUsers: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (admin)
+const updateUserRole = async (req, res, next) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Suspend a user account
+// @route   PUT /api/admin/users/:id/suspend
+// @access  Private (admin)
+const suspendUser = async (req, res, next) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.suspendedAt = new Date();
+    user.suspensionReason = req.body.reason;
+
+    // Suspension takes effect immediately, not when the access token expires
+    await revokeAllSessions(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'User suspended successfully',
+      data: { user }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lift a user's suspension
+// @route   PUT /api/admin/users/:id/unsuspend
+// @access  Private (admin)
+const unsuspendUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.suspendedAt = null;
+    user.suspensionReason = undefined;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'User suspension lifted',
+      data: { user }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lift a login lockout caused by failed attempts
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private (admin)
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasLocked = await unlockLogin(user.username);
+
+    res.status(200).json({
+      success: true,
+      message: wasLocked ? 'User login unlocked' : 'User had no failed logins to clear',
+      data: { user }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove any dog listing
+// @route   DELETE /api/admin/dogs/:id
+// @access  Private (admin)
+const forceRemoveDog = async (req, res, next) => {
+  try {
+    const dog = await Dog.findListed(req.params.id);
+
+    if (!dog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dog not found'
+      });
+    }
+
+    // No ownership or adoption checks: this is the moderation escape hatch
+    await removeListing(dog, { reason: 'Listing removed by a moderator', actor: req.user, moderated: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dog removed by admin'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Permanently delete dogs removed longer ago than the retention period
+// @route   POST /api/admin/dogs/purge
+// @access  Private (admin)
+const purgeDogs = async (req, res, next) => {
+  try {
+    const purged = await purgeRemovedDogs();
+
+    res.status(200).json({
+      success: true,
+      message: `Purged dogs removed more than ${getRetentionDays()} days ago`,
+      data: { purged }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  updateUserRole,
+  suspendUser,
+  unsuspendUser,
+  unlockUser,
+  forceRemoveDog,
+  purgeDogs
+};
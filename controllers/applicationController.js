@@ -0,0 +1,270 @@
+const AdoptionApplication = require('../models/AdoptionApplication');
+const Dog = require('../models/Dog');
+const { canManageDog } = require('../services/permissions');
+const { publish } = require('../services/events');
+const { snapshot, recordDogChange } = require('../services/dogHistory');
+
+// Load a pending application and its dog, making sure the current user manages the dog
+const findApplicationForReview = async (req, res) => {
+  const application = await AdoptionApplication.findById(req.params.id);
+
+  if (!application) {
+    res.status(404).json({
+      success: false,
+      message: 'Application not found'
+    });
+    return null;
+  }
+
+  const dog = await Dog.findListed(application.dog);
+
+  if (!dog) {
+    res.status(404).json({
+      success: false,
+      message: 'Dog not found'
+    });
+    return null;
+  }
+
+  if (!(await canManageDog(req.user, dog))) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only review applications for dogs that you manage'
+    });
+    return null;
+  }
+
+  if (application.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: `Application has already been ${application.status}`
+    });
+    return null;
+  }
+
+  return { application, dog };
+};
+
+const populateApplication = (application) => {
+  return application.populate([
+    { path: 'dog', select: 'name status' },
+    { path: 'applicant', select: 'username' },
+    { path: 'reviewedBy', select: 'username' }
+  ]);
+};
+
+// @desc    Get applications submitted by current user
+// @route   GET /api/applications
+// @access  Private
+const getMyApplications = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const status = req.query.status;
+
+    // Build filter
+    const filter = { applicant: req.user._id };
+    if (status) {
+      filter.status = status;
+    }
+
+    const applications = await AdoptionApplication.find(filter)
+      .populate('dog', 'name status')
+      .populate('owner', 'username')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await AdoptionApplication.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        applications,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalApplications: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get applications for a dog
+// @route   GET /api/dogs/:id/applications
+// @access  Private (dog owner or organization member)
+const getDogApplications = async (req, res, next) => {
+  try {
+    const dog = await Dog.findListed(req.params.id);
+
+    if (!dog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dog not found'
+      });
+    }
+
+    if (!(await canManageDog(req.user, dog))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view applications for dogs that you manage'
+      });
+    }
+
+    const filter = { dog: dog._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const applications = await AdoptionApplication.find(filter)
+      .populate('applicant', 'username')
+      .populate('reviewedBy', 'username')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { applications }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve an application and complete the adoption
+// @route   PUT /api/applications/:id/approve
+// @access  Private (dog owner or organization member)
+const approveApplication = async (req, res, next) => {
+  try {
+    const review = await findApplicationForReview(req, res);
+    if (!review) return;
+    const { application } = review;
+    let { dog } = review;
+
+    if (dog.status === 'adopted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Dog has already been adopted'
+      });
+    }
+
+    // Adopt the dog on behalf of the applicant, unless a concurrent
+    // approval or removal got there first
+    const previous = snapshot(dog);
+    const adoptedDog = await Dog.claimForAdoption(dog._id, application.applicant, application.message);
+    if (!adoptedDog) {
+      return res.status(409).json({
+        success: false,
+        message: 'Dog is no longer available for adoption'
+      });
+    }
+    dog = adoptedDog;
+    await recordDogChange(dog, 'adopted', req.user, previous);
+
+    application.decide('approved', req.user._id, req.body.note);
+    await application.save();
+
+    // Everyone else waiting on this dog gets a rejection
+    const rejected = await AdoptionApplication.rejectOthers(dog._id, application._id, req.user._id);
+
+    await publish('dog.adopted', { dog, application, actor: req.user._id });
+    for (const decided of [application, ...rejected]) {
+      await publish('application.decided', { application: decided, dog });
+    }
+
+    await populateApplication(application);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application approved and dog adopted',
+      data: { application }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject an application
+// @route   PUT /api/applications/:id/reject
+// @access  Private (dog owner or organization member)
+const rejectApplication = async (req, res, next) => {
+  try {
+    const review = await findApplicationForReview(req, res);
+    if (!review) return;
+    const { application, dog } = review;
+
+    application.decide('rejected', req.user._id, req.body.note);
+    await application.save();
+    await publish('application.decided', { application, dog });
+    await populateApplication(application);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application rejected',
+      data: { application }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Withdraw own application
+// @route   PUT /api/applications/:id/withdraw
+// @access  Private (applicant)
+const withdrawApplication = async (req, res, next) => {
+  try {
+    const application = await AdoptionApplication.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.applicant.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only withdraw your own applications'
+      });
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Application has already been ${application.status}`
+      });
+    }
+
+    application.status = 'withdrawn';
+    await application.save();
+
+    const dog = await Dog.findById(application.dog);
+    if (dog) {
+      await publish('application.withdrawn', { application, dog });
+    }
+    await populateApplication(application);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn',
+      data: { application }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyApplications,
+  getDogApplications,
+  approveApplication,
+  rejectApplication,
+  withdrawApplication
+};
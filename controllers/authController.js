@@ -1,19 +1,31 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN
-  });
-};
+const Message = require('../models/Message');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+} = require('../services/tokenService');
+const { requestPasswordReset, resetPassword } = require('../services/passwordReset');
+const { exportUserData, deleteAccount } = require('../services/accounts');
+const { getLockout, recordFailedLogin, recordSuccessfulLogin } = require('../services/loginThrottle');
+const {
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  createLoginChallenge,
+  findChallengeUser,
+  verifyTwoFactorCode,
+  completeLoginChallenge
+} = require('../services/twoFactor');
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
 const registerUser = async (req, res, next) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, email } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ username });
@@ -24,12 +36,19 @@ const registerUser = async (req, res, next) => {
       });
     }
 
+    if (email && await User.exists({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already exists'
+      });
+    }
+
     // Create new user
-    const user = new User({ username, password });
+    const user = new User({ username, password, email });
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user);
 
     res.status(201).json({
       success: true,
@@ -38,9 +57,12 @@ const registerUser = async (req, res, next) => {
         user: {
           id: user._id,
           username: user.username,
+          email: user.email || null,
+          role: user.role,
           createdAt: user.createdAt
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -48,6 +70,72 @@ const registerUser = async (req, res, next) => {
   }
 };
 
+// Answer a login refused because of too many failed attempts
+const sendLockout = (res, lockout) => {
+  const minutes = Math.ceil(lockout.retryAfter / 60);
+
+  res.set('Retry-After', String(lockout.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts, please try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+    data: {
+      lockedUntil: lockout.lockedUntil,
+      retryAfter: lockout.retryAfter
+    }
+  });
+};
+
+// Check the current password before an account change. Wrong passwords
+// count towards the login lockout, so a stolen access token cannot be used
+// to guess it. Sends the error response and returns false when it fails.
+const confirmPassword = async (req, res, password, message = 'Password is incorrect') => {
+  const { username } = req.user;
+
+  const lockout = await getLockout(username, req.ip);
+  if (lockout) {
+    sendLockout(res, lockout);
+    return false;
+  }
+
+  if (!(await req.user.comparePassword(password))) {
+    const newLockout = await recordFailedLogin(username, req.ip);
+    if (newLockout) {
+      sendLockout(res, newLockout);
+    } else {
+      res.status(400).json({
+        success: false,
+        message
+      });
+    }
+    return false;
+  }
+
+  await recordSuccessfulLogin(username);
+  return true;
+};
+
+// Start a session for a fully authenticated login
+const sendLoginSuccess = async (res, user) => {
+  await recordSuccessfulLogin(user.username);
+
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await issueTokens(user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        role: user.role
+      },
+      token,
+      refreshToken
+    }
+  });
+};
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -55,36 +143,271 @@ const loginUser = async (req, res, next) => {
   try {
     const { username, password } = req.body;
 
+    // Locked usernames and addresses are refused before any password check
+    const lockout = await getLockout(username, req.ip);
+    if (lockout) {
+      return sendLockout(res, lockout);
+    }
+
     // Find user and include password for comparison
     const user = await User.findOne({ username }).select('+password');
-    if (!user) {
+
+    // Check password; unknown usernames count as failures too
+    if (!user || !(await user.comparePassword(password))) {
+      const newLockout = await recordFailedLogin(username, req.ip);
+      if (newLockout) {
+        return sendLockout(res, newLockout);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check password
-    const isPasswordCorrect = await user.comparePassword(password);
-    if (!isPasswordCorrect) {
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended'
+      });
+    }
+
+    // Tokens wait for the second step; failures stay counted until then
+    if (user.isTwoFactorEnabled) {
+      const { challengeToken, expiresAt } = await createLoginChallenge(user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app to finish logging in',
+        data: {
+          twoFactorRequired: true,
+          challengeToken,
+          expiresAt
+        }
+      });
+    }
+
+    await sendLoginSuccess(res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish a login with a two-factor or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const verifyLoginCode = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const user = await findChallengeUser(challengeToken);
+
+    const lockout = await getLockout(user.username, req.ip);
+    if (lockout) {
+      return sendLockout(res, lockout);
+    }
+
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (!(await verifyTwoFactorCode(user, code))) {
+      const newLockout = await recordFailedLogin(user.username, req.ip);
+      if (newLockout) {
+        return sendLockout(res, newLockout);
+      }
+
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    if (!(await completeLoginChallenge(challengeToken))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge'
+      });
+    }
+
+    await sendLoginSuccess(res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current user profile
+// @route   GET /api/auth/profile
+// @access  Private
+const getProfile = async (req, res, next) => {
+  try {
+    const unreadMessages = await Message.countUnread(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: req.user,
+        unreadMessages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshTokens = async (req, res, next) => {
+  try {
+    const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Public
+const logoutUser = async (req, res, next) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out of every session
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/password-reset
+// @access  Public
+const requestReset = async (req, res, next) => {
+  try {
+    await requestPasswordReset(req.body.email);
+
+    // Same answer whether or not the email belongs to an account
+    res.status(200).json({
+      success: true,
+      message: 'If an account uses that email, a reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/password-reset/confirm
+// @access  Public
+const confirmReset = async (req, res, next) => {
+  try {
+    await resetPassword(req.body.token, req.body.password);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully, please log in again'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    if (!(await confirmPassword(req, res, currentPassword, 'Current password is incorrect'))) {
+      return;
+    }
+
+    // Other sessions end; this one continues with a fresh token pair
+    user.password = newPassword;
+    await revokeAllSessions(user);
+    const { token, refreshToken } = await issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set or change the email used for password resets
+// @route   PUT /api/auth/email
+// @access  Private
+const updateEmail = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+    const user = req.user;
+
+    if (!(await confirmPassword(req, res, password))) {
+      return;
+    }
+
+    if (await User.exists({ email, _id: { $ne: user._id } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already exists'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Reset links already sent to the old address stop working
+    if (email !== user.email) {
+      user.email = email;
+      await user.save();
+      await PasswordResetToken.retireAllForUser(user._id);
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
+      message: 'Email updated successfully',
       data: {
         user: {
           id: user._id,
-          username: user.username
-        },
-        token
+          username: user.username,
+          email: user.email
+        }
       }
     });
   } catch (error) {
@@ -92,15 +415,78 @@ const loginUser = async (req, res, next) => {
   }
 };
 
-// @desc    Get current user profile
-// @route   GET /api/auth/profile
+// @desc    Download all of the current user's data
+// @route   GET /api/auth/export
 // @access  Private
-const getProfile = async (req, res, next) => {
+const exportMyData = async (req, res, next) => {
+  try {
+    const data = await exportUserData(req.user);
+
+    res.status(200)
+      .attachment(`dog-adoption-data-${req.user.username}.json`)
+      .json({
+        success: true,
+        data
+      });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete the current user's account
+// @route   DELETE /api/auth/account
+// @access  Private
+const deleteMyAccount = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (!(await confirmPassword(req, res, req.body.password))) {
+      return;
+    }
+
+    await deleteAccount(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start two-factor setup with a new secret
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res, next) => {
   try {
+    const { secret, otpauthUri } = await startTwoFactorSetup(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Add the secret to your authenticator app, then verify a code to turn on two-factor authentication',
+      data: {
+        secret,
+        otpauthUri
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn on two-factor authentication with a code from the new secret
+// @route   POST /api/auth/2fa/verify
+// @access  Private
+const activateTwoFactor = async (req, res, next) => {
+  try {
+    const recoveryCodes = await enableTwoFactor(req.user, req.body.code);
+
     res.status(200).json({
       success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are only shown once',
       data: {
-        user: req.user
+        recoveryCodes
       }
     });
   } catch (error) {
@@ -108,8 +494,43 @@ const getProfile = async (req, res, next) => {
   }
 };
 
+// @desc    Turn off two-factor authentication
+// @route   DELETE /api/auth/2fa
+// @access  Private
+const deactivateTwoFactor = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (!(await confirmPassword(req, res, req.body.password))) {
+      return;
+    }
+
+    await disableTwoFactor(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
-  getProfile
+  verifyLoginCode,
+  getProfile,
+  refreshTokens,
+  logoutUser,
+  logoutAllSessions,
+  requestReset,
+  confirmReset,
+  changePassword,
+  updateEmail,
+  exportMyData,
+  deleteMyAccount,
+  setupTwoFactor,
+  activateTwoFactor,
+  deactivateTwoFactor
 };
\ No newline at end of file
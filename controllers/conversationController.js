@@ -0,0 +1,278 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Dog = require('../models/Dog');
+const User = require('../models/User');
+const { canManageDog } = require('../services/permissions');
+const { publish } = require('../services/events');
+
+const PREVIEW_LENGTH = 100;
+
+const populateConversation = (conversation) => {
+  return conversation.populate([
+    { path: 'dog', select: 'name status' },
+    { path: 'adopter', select: 'username' },
+    { path: 'owner', select: 'username' }
+  ]);
+};
+
+// Load a conversation the current user takes part in
+const findOwnConversation = async (req, res) => {
+  const conversation = await Conversation.findById(req.params.id);
+
+  if (!conversation || !conversation.hasParticipant(req.user._id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+    return null;
+  }
+
+  return conversation;
+};
+
+// Messaging stops once the dog is gone or the other side is suspended
+const ensureCanMessage = async (res, dog, recipientId) => {
+  if (!dog) {
+    res.status(400).json({
+      success: false,
+      message: 'This dog has been removed and can no longer be discussed'
+    });
+    return false;
+  }
+
+  const recipient = await User.findById(recipientId);
+  if (recipient && recipient.isDeleted) {
+    res.status(403).json({
+      success: false,
+      message: 'This account has been deleted'
+    });
+    return false;
+  }
+
+  if (!recipient || recipient.isSuspended) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot message a suspended user'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Store a message and bump the conversation
+const postMessage = async (conversation, sender, body) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    recipient: conversation.otherParticipant(sender._id),
+    body
+  });
+
+  conversation.lastMessageAt = message.createdAt;
+  conversation.lastMessagePreview = body.slice(0, PREVIEW_LENGTH);
+  await conversation.save();
+
+  await publish('message.sent', { message, conversation, sender });
+
+  return message;
+};
+
+// @desc    Start a conversation with a dog's owner, or continue the existing one
+// @route   POST /api/conversations
+// @access  Private
+const startConversation = async (req, res, next) => {
+  try {
+    const { dogId, body } = req.body;
+
+    const dog = await Dog.findListed(dogId);
+
+    if (!dog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dog not found'
+      });
+    }
+
+    if (await canManageDog(req.user, dog)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot start a conversation about your own dog'
+      });
+    }
+
+    if (!(await ensureCanMessage(res, dog, dog.owner))) return;
+
+    // Reuse the thread if this adopter already asked about the dog
+    const conversation = await Conversation.findOneAndUpdate(
+      { dog: dog._id, adopter: req.user._id },
+      { $setOnInsert: { owner: dog.owner } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const message = await postMessage(conversation, req.user, body);
+    await populateConversation(conversation);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: { conversation, message }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's conversations
+// @route   GET /api/conversations
+// @access  Private
+const getConversations = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const filter = { $or: [{ adopter: req.user._id }, { owner: req.user._id }] };
+
+    const conversations = await Conversation.find(filter)
+      .populate('dog', 'name status')
+      .populate('adopter', 'username')
+      .populate('owner', 'username')
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    // Unread counts for this page in a single query
+    const unread = await Message.aggregate([
+      {
+        $match: {
+          conversation: { $in: conversations.map(conversation => conversation._id) },
+          recipient: req.user._id,
+          readAt: null
+        }
+      },
+      { $group: { _id: '$conversation', count: { $sum: 1 } } }
+    ]);
+    const unreadById = new Map(unread.map(entry => [entry._id.toString(), entry.count]));
+
+    conversations.forEach(conversation => {
+      conversation.unreadCount = unreadById.get(conversation._id.toString()) || 0;
+    });
+
+    // Get total count for pagination
+    const total = await Conversation.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        conversations,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalConversations: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the messages in a conversation
+// @route   GET /api/conversations/:id/messages
+// @access  Private (participants)
+const getMessages = async (req, res, next) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { conversation: conversation._id };
+
+    // Newest first, so page 1 is the latest part of the thread
+    const messages = await Message.find(filter)
+      .populate('sender', 'username')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Message.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messages,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalMessages: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a message in a conversation
+// @route   POST /api/conversations/:id/messages
+// @access  Private (participants)
+const sendMessage = async (req, res, next) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const dog = await Dog.findListed(conversation.dog);
+    const recipientId = conversation.otherParticipant(req.user._id);
+    if (!(await ensureCanMessage(res, dog, recipientId))) return;
+
+    const message = await postMessage(conversation, req.user, req.body.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: { message }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark every message sent to the current user in a conversation as read
+// @route   PUT /api/conversations/:id/read
+// @access  Private (participants)
+const markConversationRead = async (req, res, next) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const result = await Message.updateMany(
+      { conversation: conversation._id, recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation marked as read',
+      data: { markedRead: result.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  startConversation,
+  getConversations,
+  getMessages,
+  sendMessage,
+  markConversationRead
+};
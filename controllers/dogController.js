@@ -1,21 +1,159 @@
 const Dog = require('../models/Dog');
+const AdoptionApplication = require('../models/AdoptionApplication');
+const Organization = require('../models/Organization');
+const DogEvent = require('../models/DogEvent');
 const mongoose = require('mongoose');
+const { buildHighlights } = require('../utils/search');
+const { decodeCursor } = require('../utils/cursor');
+const {
+  pickAttributes,
+  getRestoreGraceDays,
+  canRestore,
+  removeListing,
+  restoreListing
+} = require('../services/dogListings');
+const { canManageDog, canRegisterDogFor } = require('../services/permissions');
+const { tryAlertMatchingSearches } = require('../services/savedSearchAlerts');
+const { publish } = require('../services/events');
+const { snapshot, recordDogEvent, recordDogChange } = require('../services/dogHistory');
+const { streamDogExport } = require('../services/dogExport');
+
+// Search radius used when lat/lng are given without radiusKm
+const DEFAULT_RADIUS_KM = 50;
+
+// Once a dog is adopted, only these fields can still be changed
+const ADOPTED_EDITABLE_FIELDS = ['description'];
+
+// Send one page of dogs matching a filter, applying the optional ?q= search,
+// ?sort= order and ?cursor= position and, when the caller passes one, a
+// "near me" location
+const sendDogPage = async (req, res, filter, options = {}) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const search = req.query.q;
+  const { near } = options;
+  const sort = Dog.resolveSort({ sort: req.query.sort, search, near });
+
+  if (sort === 'distance' && !near) {
+    return res.status(400).json({
+      success: false,
+      message: 'Sorting by distance requires lat and lng'
+    });
+  }
+
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor, Dog.LISTING_SORT_NAMES) : null;
+  if (cursor && cursor.sort !== sort) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cursor does not match the requested sort'
+    });
+  }
+
+  // Get dogs with pagination; one extra dog tells us whether more follow
+  let dogs = await Dog.getPaginatedDogs(filter, page, limit + 1, { search, near, sort, cursor });
+  const hasMore = dogs.length > limit;
+  dogs = dogs.slice(0, limit);
+  const nextCursor = hasMore ? Dog.cursorFor(dogs[dogs.length - 1], sort) : null;
+
+  // Get total count for pagination
+  const total = await Dog.countPaginatedDogs(filter, { search, near });
+  const totalPages = Math.ceil(total / limit);
+
+  if (search) {
+    dogs = dogs.map(dog => ({
+      ...(dog.toJSON ? dog.toJSON() : dog),
+      highlights: buildHighlights(dog, search)
+    }));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      dogs,
+      pagination: {
+        // Cursor pages have no page number
+        currentPage: cursor ? null : page,
+        totalPages,
+        totalDogs: total,
+        hasNextPage: hasMore,
+        hasPrevPage: cursor ? true : page > 1,
+        nextCursor
+      }
+    }
+  });
+};
+
+// Filter for the dogs registered by the current user, or by an organization
+// they belong to. Sends a 403 and returns null for other organizations.
+const buildRegisteredFilter = async (req, res) => {
+  const { status, organization } = req.query;
+
+  const filter = { owner: req.user._id };
+  if (organization) {
+    const org = await Organization.findById(organization);
+    if (!org || !org.getMember(req.user._id)) {
+      res.status(403).json({
+        success: false,
+        message: 'You are not a member of this organization'
+      });
+      return null;
+    }
+    delete filter.owner;
+    filter.organization = org._id;
+  }
+  if (status) {
+    filter.status = status;
+  }
+  // Removed listings are only shown on request, e.g. to restore them
+  if (req.query.removed === true) {
+    filter.removedAt = { $ne: null };
+  }
+
+  return filter;
+};
+
+// Filter for the current user's adoptions: current ones by default,
+// scope=past for dogs the user has returned
+const buildAdoptedFilter = (req) => {
+  return req.query.scope === 'past'
+    ? { 'pastAdoptions.adopter': req.user._id }
+    : { adopter: req.user._id };
+};
+
+// Date stamp for export file names
+const exportDate = () => new Date().toISOString().slice(0, 10);
 
 // @desc    Register a new dog
 // @route   POST /api/dogs
 // @access  Private
 const registerDog = async (req, res, next) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, organization } = req.body;
+
+    if (!await canRegisterDogFor(req.user, organization)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot register dogs for this organization'
+      });
+    }
 
     const dog = new Dog({
       name,
       description,
+      ...pickAttributes(req.body),
+      organization: organization || null,
       owner: req.user._id
     });
 
     await dog.save();
-    await dog.populate('owner', 'username');
+    await recordDogEvent(dog, 'created', req.user, { after: snapshot(dog) });
+
+    await dog.populate([
+      { path: 'owner', select: 'username' },
+      { path: 'organization', select: 'name' }
+    ]);
+
+    await tryAlertMatchingSearches(dog);
 
     res.status(201).json({
       success: true,
@@ -27,7 +165,78 @@ const registerDog = async (req, res, next) => {
   }
 };
 
-// @desc    Adopt a dog
+// @desc    Update a dog's listing
+// @route   PATCH /api/dogs/:id
+// @access  Private (dog owner or organization member)
+const updateDog = async (req, res, next) => {
+  try {
+    const dog = await Dog.findListed(req.params.id);
+
+    if (!dog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dog not found'
+      });
+    }
+
+    if (!(await canManageDog(req.user, dog))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit dogs that you registered'
+      });
+    }
+
+    const updates = pickAttributes(req.body);
+    ['name', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    // A partial location only replaces the parts it includes, so new
+    // coordinates keep the city and a new city keeps the coordinates
+    if (updates.location) {
+      const given = Object.entries(updates.location).filter(([, value]) => value !== undefined);
+      updates.location = { ...dog.toObject().location, ...Object.fromEntries(given) };
+    }
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No editable fields provided'
+      });
+    }
+
+    if (dog.status === 'adopted' && fields.some(field => !ADOPTED_EDITABLE_FIELDS.includes(field))) {
+      return res.status(400).json({
+        success: false,
+        message: `Adopted dogs can only have their ${ADOPTED_EDITABLE_FIELDS.join(', ')} edited`
+      });
+    }
+
+    const previous = snapshot(dog);
+    dog.set(updates);
+    await dog.save();
+    await recordDogChange(dog, 'edited', req.user, previous);
+
+    await dog.populate([
+      { path: 'owner', select: 'username' },
+      { path: 'organization', select: 'name' },
+      { path: 'adopter', select: 'username' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Dog updated successfully',
+      data: { dog }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Apply to adopt a dog
 // @route   PUT /api/dogs/:id/adopt
 // @access  Private
 const adoptDog = async (req, res, next) => {
@@ -36,7 +245,7 @@ const adoptDog = async (req, res, next) => {
     const { message } = req.body;
     const adopterId = req.user._id;
 
-    const dog = await Dog.findById(id).populate('owner', 'username');
+    const dog = await Dog.findListed(id).populate('owner', 'username');
 
     if (!dog) {
       return res.status(404).json({
@@ -53,22 +262,97 @@ const adoptDog = async (req, res, next) => {
       });
     }
 
-    // Check if user is trying to adopt their own dog
-    if (dog.owner._id.toString() === adopterId.toString()) {
+    // Check if user is trying to adopt their own (or their organization's) dog
+    if (await canManageDog(req.user, dog)) {
       return res.status(400).json({
         success: false,
         message: 'You cannot adopt your own dog'
       });
     }
 
-    // Adopt the dog
-    dog.adoptDog(adopterId, message);
+    // Only one open application per applicant
+    const existingApplication = await AdoptionApplication.findOne({
+      dog: dog._id,
+      applicant: adopterId,
+      status: 'pending'
+    });
+    if (existingApplication) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a pending application for this dog'
+      });
+    }
+
+    // The owner decides; the dog stays available until an application is approved
+    const application = new AdoptionApplication({
+      dog: dog._id,
+      applicant: adopterId,
+      owner: dog.owner._id,
+      message
+    });
+    await application.save();
+    await publish('application.submitted', { application, dog });
+
+    await application.populate([
+      { path: 'dog', select: 'name status' },
+      { path: 'applicant', select: 'username' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Adoption application submitted',
+      data: { application }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record the return of an adopted dog and list it again
+// @route   POST /api/dogs/:id/return
+// @access  Private (dog owner, organization member or current adopter)
+const returnDog = async (req, res, next) => {
+  try {
+    const dog = await Dog.findListed(req.params.id);
+
+    if (!dog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dog not found'
+      });
+    }
+
+    if (dog.status !== 'adopted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only adopted dogs can be returned'
+      });
+    }
+
+    const isAdopter = dog.adopter.toString() === req.user._id.toString();
+    if (!isAdopter && !(await canManageDog(req.user, dog))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner or the adopter can record a return'
+      });
+    }
+
+    const adopter = dog.adopter;
+    const previous = snapshot(dog);
+    dog.returnDog(req.body.reason, req.user._id);
     await dog.save();
-    await dog.populate('adopter', 'username');
+
+    await recordDogChange(dog, 'returned', req.user, previous, req.body.reason);
+    await publish('dog.returned', { dog, adopter, actor: req.user._id, reason: req.body.reason });
+
+    await dog.populate([
+      { path: 'owner', select: 'username' },
+      { path: 'organization', select: 'name' }
+    ]);
 
     res.status(200).json({
       success: true,
-      message: 'Dog adopted successfully',
+      message: 'Return recorded and dog listed again',
       data: { dog }
     });
   } catch (error) {
@@ -82,9 +366,8 @@ const adoptDog = async (req, res, next) => {
 const removeDog = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
 
-    const dog = await Dog.findById(id);
+    const dog = await Dog.findListed(id);
 
     if (!dog) {
       return res.status(404).json({
@@ -93,8 +376,8 @@ const removeDog = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the dog
-    if (dog.owner.toString() !== userId.toString()) {
+    // Check if user owns the dog or manages it for its organization
+    if (!(await canManageDog(req.user, dog))) {
       return res.status(403).json({
         success: false,
         message: 'You can only remove dogs that you registered'
@@ -109,7 +392,7 @@ const removeDog = async (req, res, next) => {
       });
     }
 
-    await Dog.findByIdAndDelete(id);
+    await removeListing(dog, { reason: req.body.reason, actor: req.user });
 
     res.status(200).json({
       success: true,
@@ -120,40 +403,83 @@ const removeDog = async (req, res, next) => {
   }
 };
 
-// @desc    Get dogs registered by current user
-// @route   GET /api/dogs/registered
-// @access  Private
-const getRegisteredDogs = async (req, res, next) => {
+// @desc    Restore a removed dog within the grace period
+// @route   POST /api/dogs/:id/restore
+// @access  Private (dog owner or organization member)
+const restoreDog = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const status = req.query.status;
+    const dog = await Dog.findOne({ _id: req.params.id, removedAt: { $ne: null } });
+
+    if (!dog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Removed dog not found'
+      });
+    }
 
-    // Build filter
-    const filter = { owner: req.user._id };
-    if (status) {
-      filter.status = status;
+    if (!(await canManageDog(req.user, dog))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only restore dogs that you registered'
+      });
     }
 
-    // Get dogs with pagination
-    const dogs = await Dog.getPaginatedDogs(filter, page, limit);
-    
-    // Get total count for pagination
-    const total = await Dog.countDocuments(filter);
-    const totalPages = Math.ceil(total / limit);
+    // Undoing a moderator's removal is not up to the owner
+    if (dog.moderated) {
+      return res.status(403).json({
+        success: false,
+        message: 'Dogs removed by a moderator cannot be restored'
+      });
+    }
+
+    if (!canRestore(dog)) {
+      return res.status(400).json({
+        success: false,
+        message: `Dogs can only be restored within ${getRestoreGraceDays()} days of removal`
+      });
+    }
+
+    await restoreListing(dog, { actor: req.user });
+    await dog.populate([
+      { path: 'owner', select: 'username' },
+      { path: 'organization', select: 'name' }
+    ]);
 
     res.status(200).json({
       success: true,
-      data: {
-        dogs,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalDogs: total,
-          hasNextPage: page < totalPages,
-          hasPrevPage: page > 1
-        }
-      }
+      message: 'Dog restored successfully',
+      data: { dog }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get dogs registered by current user, or by one of their organizations
+// @route   GET /api/dogs/registered
+// @access  Private
+const getRegisteredDogs = async (req, res, next) => {
+  try {
+    const filter = await buildRegisteredFilter(req, res);
+    if (!filter) return;
+
+    await sendDogPage(req, res, filter);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export adoption records of registered dogs as CSV or JSON
+// @route   GET /api/dogs/registered/export
+// @access  Private
+const exportRegisteredDogs = async (req, res, next) => {
+  try {
+    const filter = await buildRegisteredFilter(req, res);
+    if (!filter) return;
+
+    await streamDogExport(res, filter, {
+      format: req.query.format,
+      filename: `registered-dogs-${exportDate()}`
     });
   } catch (error) {
     next(error);
@@ -165,31 +491,26 @@ const getRegisteredDogs = async (req, res, next) => {
 // @access  Private
 const getAdoptedDogs = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-
-    // Filter for dogs adopted by current user
-    const filter = { adopter: req.user._id };
+    await sendDogPage(req, res, buildAdoptedFilter(req));
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Get dogs with pagination
-    const dogs = await Dog.getPaginatedDogs(filter, page, limit);
-    
-    // Get total count for pagination
-    const total = await Dog.countDocuments(filter);
-    const totalPages = Math.ceil(total / limit);
+// @desc    Export the current user's adoption records as CSV or JSON
+// @route   GET /api/dogs/adopted/export
+// @access  Private
+const exportAdoptedDogs = async (req, res, next) => {
+  try {
+    const filter = buildAdoptedFilter(req);
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
 
-    res.status(200).json({
-      success: true,
-      data: {
-        dogs,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalDogs: total,
-          hasNextPage: page < totalPages,
-          hasPrevPage: page > 1
-        }
-      }
+    await streamDogExport(res, filter, {
+      format: req.query.format,
+      filename: `adopted-dogs-${exportDate()}`,
+      onlyAdopter: req.user._id
     });
   } catch (error) {
     next(error);
@@ -201,32 +522,17 @@ const getAdoptedDogs = async (req, res, next) => {
 // @access  Private
 const getAllDogs = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    // Only show available dogs matching the requested attributes
+    const filter = {
+      ...Dog.buildAttributeFilter(req.query),
+      status: 'available'
+    };
 
-    // Only show available dogs
-    const filter = { status: 'available' };
+    // Nearest first when the adopter shares a location
+    const { lat, lng, radiusKm } = req.query;
+    const near = lat !== undefined ? { lat, lng, radiusKm: radiusKm || DEFAULT_RADIUS_KM } : undefined;
 
-    // Get dogs with pagination
-    const dogs = await Dog.getPaginatedDogs(filter, page, limit);
-    
-    // Get total count for pagination
-    const total = await Dog.countDocuments(filter);
-    const totalPages = Math.ceil(total / limit);
-
-    res.status(200).json({
-      success: true,
-      data: {
-        dogs,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalDogs: total,
-          hasNextPage: page < totalPages,
-          hasPrevPage: page > 1
-        }
-      }
-    });
+    await sendDogPage(req, res, filter, { near });
   } catch (error) {
     next(error);
   }
@@ -239,8 +545,9 @@ const getDogById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const dog = await Dog.findById(id)
+    const dog = await Dog.findListed(id)
       .populate('owner', 'username')
+      .populate('organization', 'name')
       .populate('adopter', 'username');
 
     if (!dog) {
@@ -259,12 +566,75 @@ const getDogById = async (req, res, next) => {
   }
 };
 
+// @desc    Get a dog's change history
+// @route   GET /api/dogs/:id/history
+// @access  Private (dog owner, organization member or admin)
+const getDogHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const isAdmin = req.user.hasRole('admin');
+
+    const dog = await Dog.findListed(id);
+
+    // Admins can still audit listings that have since been removed
+    if (!dog && !(isAdmin && await DogEvent.exists({ dog: id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dog not found'
+      });
+    }
+
+    if (dog && !isAdmin && !(await canManageDog(req.user, dog))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view the history of dogs that you manage'
+      });
+    }
+
+    const filter = { dog: id };
+
+    const events = await DogEvent.find(filter)
+      .populate('actor', 'username')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await DogEvent.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalEvents: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   registerDog,
+  updateDog,
   adoptDog,
+  returnDog,
   removeDog,
+  restoreDog,
   getRegisteredDogs,
+  exportRegisteredDogs,
   getAdoptedDogs,
+  exportAdoptedDogs,
   getAllDogs,
-  getDogById
+  getDogById,
+  getDogHistory
 };
\ No newline at end of file
@@ -0,0 +1,149 @@
+const Favorite = require('../models/Favorite');
+const Dog = require('../models/Dog');
+
+// Listing fields shown for a favorited dog. Removal details (reason, who
+// removed it) stay private; removedAt only drives the availability flag.
+const FAVORITE_DOG_FIELDS = [
+  'name',
+  'description',
+  'breed',
+  'birthDate',
+  'size',
+  'sex',
+  'energyLevel',
+  'houseTrained',
+  'goodWithKids',
+  'goodWithCats',
+  'goodWithDogs',
+  'spayedNeutered',
+  'location',
+  'photos',
+  'owner',
+  'organization',
+  'adopter',
+  'status',
+  'adoptedAt',
+  'removedAt',
+  'favoritesCount',
+  'createdAt'
+].join(' ');
+
+// @desc    Add a dog to the current user's favorites
+// @route   POST /api/dogs/:id/favorite
+// @access  Private
+const favoriteDog = async (req, res, next) => {
+  try {
+    const dog = await Dog.findListed(req.params.id);
+
+    if (!dog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dog not found'
+      });
+    }
+
+    // Favoriting twice is harmless; only the first one counts
+    const result = await Favorite.updateOne(
+      { user: req.user._id, dog: dog._id },
+      { $setOnInsert: { dogName: dog.name } },
+      { upsert: true }
+    );
+
+    const created = result.upsertedCount > 0;
+    if (created) {
+      await Dog.updateOne({ _id: dog._id }, { $inc: { favoritesCount: 1 } });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Dog added to favorites' : 'Dog is already in your favorites',
+      data: {
+        favoritesCount: dog.favoritesCount + (created ? 1 : 0)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a dog from the current user's favorites
+// @route   DELETE /api/dogs/:id/favorite
+// @access  Private
+const unfavoriteDog = async (req, res, next) => {
+  try {
+    const favorite = await Favorite.findOneAndDelete({ user: req.user._id, dog: req.params.id });
+
+    if (!favorite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dog is not in your favorites'
+      });
+    }
+
+    // The dog may be gone already, in which case there is no count to update
+    await Dog.updateOne(
+      { _id: req.params.id, favoritesCount: { $gt: 0 } },
+      { $inc: { favoritesCount: -1 } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Dog removed from favorites'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's favorite dogs
+// @route   GET /api/dogs/favorites
+// @access  Private
+const getFavorites = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const filter = { user: req.user._id };
+
+    // Favorites whose dog was adopted or removed are flagged, not hidden
+    const favorites = await Favorite.find(filter)
+      .populate({
+        path: 'dog',
+        select: FAVORITE_DOG_FIELDS,
+        populate: [
+          { path: 'owner', select: 'username' },
+          { path: 'organization', select: 'name' },
+          { path: 'adopter', select: 'username' }
+        ]
+      })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Favorite.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        favorites,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalDogs: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  favoriteDog,
+  unfavoriteDog,
+  getFavorites
+};
@@ -0,0 +1,72 @@
+const DogImport = require('../models/DogImport');
+const { importDogs: runImport, buildImportReport } = require('../services/dogImport');
+const { canRegisterDogFor } = require('../services/permissions');
+
+// @desc    Import dogs in bulk from CSV or JSON, optionally as a dry run
+// @route   POST /api/dogs/import
+// @access  Private (staff or admin)
+const importDogs = async (req, res, next) => {
+  try {
+    const { organization, dryRun = false } = req.query;
+
+    // Imports follow the same rule as registering a single dog
+    if (!await canRegisterDogFor(req.user, organization)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot register dogs for this organization'
+      });
+    }
+
+    const dogImport = await runImport({
+      payload: req.body,
+      user: req.user,
+      organization: organization || null,
+      dryRun
+    });
+
+    const message = dryRun
+      ? `Dry run: ${dogImport.validRows} of ${dogImport.totalRows} dogs are valid`
+      : `Imported ${dogImport.importedRows} of ${dogImport.totalRows} dogs`;
+
+    res.status(dogImport.importedRows > 0 ? 201 : 200).json({
+      success: true,
+      message,
+      data: {
+        dogImport,
+        reportUrl: `/api/dogs/imports/${dogImport._id}/report`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download the report of an import as JSON or CSV
+// @route   GET /api/dogs/imports/:id/report
+// @access  Private (user who ran the import)
+const getImportReport = async (req, res, next) => {
+  try {
+    const dogImport = await DogImport.findOne({ _id: req.params.id, importedBy: req.user._id });
+
+    if (!dogImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    const report = buildImportReport(dogImport, req.query.format);
+
+    res.status(200)
+      .attachment(report.filename)
+      .type(report.contentType)
+      .send(report.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  importDogs,
+  getImportReport
+};
@@ -0,0 +1,115 @@
+const Notification = require('../models/Notification');
+
+// @desc    Get the current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    // Build filter
+    const filter = { user: req.user._id };
+    if (req.query.unread === true) {
+      filter.readAt = null;
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await Notification.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalNotifications: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Count the current user's unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    // Keep the original read time if it was already read
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { markedRead: result.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead
+};
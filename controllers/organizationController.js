@@ -0,0 +1,258 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+
+// Load an organization the current user belongs to
+const findOrganizationForMember = async (req, res) => {
+  const organization = await Organization.findById(req.params.id);
+
+  if (!organization || !organization.getMember(req.user._id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Organization not found'
+    });
+    return null;
+  }
+
+  return organization;
+};
+
+// Load an organization the current user administers
+const findOrganizationForAdmin = async (req, res) => {
+  const organization = await findOrganizationForMember(req, res);
+  if (!organization) return null;
+
+  if (!organization.canManageMembers(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only organization admins can manage members'
+    });
+    return null;
+  }
+
+  return organization;
+};
+
+const populateMembers = (organization) => {
+  return organization.populate('members.user', 'username');
+};
+
+// @desc    Create an organization
+// @route   POST /api/organizations
+// @access  Private (staff or admin)
+const createOrganization = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    // The creator is the first admin
+    const organization = new Organization({
+      name,
+      description,
+      createdBy: req.user._id,
+      members: [{ user: req.user._id, role: 'admin' }]
+    });
+
+    await organization.save();
+    await populateMembers(organization);
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get organizations the current user belongs to
+// @route   GET /api/organizations
+// @access  Private
+const getMyOrganizations = async (req, res, next) => {
+  try {
+    const organizations = await Organization.find({ 'members.user': req.user._id })
+      .populate('members.user', 'username')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { organizations }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single organization by ID
+// @route   GET /api/organizations/:id
+// @access  Private (members)
+const getOrganizationById = async (req, res, next) => {
+  try {
+    const organization = await findOrganizationForMember(req, res);
+    if (!organization) return;
+
+    await populateMembers(organization);
+
+    res.status(200).json({
+      success: true,
+      data: { organization }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update an organization
+// @route   PUT /api/organizations/:id
+// @access  Private (organization admins)
+const updateOrganization = async (req, res, next) => {
+  try {
+    const organization = await findOrganizationForAdmin(req, res);
+    if (!organization) return;
+
+    const { name, description } = req.body;
+    if (name !== undefined) organization.name = name;
+    if (description !== undefined) organization.description = description;
+
+    await organization.save();
+    await populateMembers(organization);
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a member to an organization
+// @route   POST /api/organizations/:id/members
+// @access  Private (organization admins)
+const addMember = async (req, res, next) => {
+  try {
+    const organization = await findOrganizationForAdmin(req, res);
+    if (!organization) return;
+
+    const { username, role } = req.body;
+    const user = await User.findOne({ username });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (organization.getMember(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a member of this organization'
+      });
+    }
+
+    organization.members.push({ user: user._id, role });
+    await organization.save();
+    await populateMembers(organization);
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private (organization admins)
+const updateMemberRole = async (req, res, next) => {
+  try {
+    const organization = await findOrganizationForAdmin(req, res);
+    if (!organization) return;
+
+    const member = organization.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'admin' && req.body.role !== 'admin' && organization.countAdmins() === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization must keep at least one admin'
+      });
+    }
+
+    member.role = req.body.role;
+    await organization.save();
+    await populateMembers(organization);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member, or leave the organization
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private (organization admins, or the member themselves)
+const removeMember = async (req, res, next) => {
+  try {
+    const organization = await findOrganizationForMember(req, res);
+    if (!organization) return;
+
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !organization.canManageMembers(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can manage members'
+      });
+    }
+
+    const member = organization.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'admin' && organization.countAdmins() === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization must keep at least one admin'
+      });
+    }
+
+    organization.members.pull(member);
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? 'You left the organization' : 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createOrganization,
+  getMyOrganizations,
+  getOrganizationById,
+  updateOrganization,
+  addMember,
+  updateMemberRole,
+  removeMember
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const Dog = require('../models/Dog');
+const { getStorage } = require('../services/storage');
+const { canManageDog } = require('../services/permissions');
+const { inspectImage, createThumbnail } = require('../services/images');
+
+// Load a dog and make sure the current user may manage it
+const findOwnedDog = async (req, res) => {
+  const dog = await Dog.findListed(req.params.id);
+
+  if (!dog) {
+    res.status(404).json({
+      success: false,
+      message: 'Dog not found'
+    });
+    return null;
+  }
+
+  if (!(await canManageDog(req.user, dog))) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only manage photos of dogs that you registered'
+    });
+    return null;
+  }
+
+  return dog;
+};
+
+const sendDog = async (res, dog, statusCode, message) => {
+  await dog.populate([
+    { path: 'owner', select: 'username' },
+    { path: 'organization', select: 'name' },
+    { path: 'adopter', select: 'username' }
+  ]);
+
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data: { dog }
+  });
+};
+
+// @desc    Upload photos for a dog
+// @route   POST /api/dogs/:id/photos
+// @access  Private (dog owner or organization member)
+const uploadDogPhotos = async (req, res, next) => {
+  const storage = getStorage();
+  const savedKeys = [];
+
+  try {
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one photo is required'
+      });
+    }
+
+    const dog = await findOwnedDog(req, res);
+    if (!dog) return;
+
+    if (dog.photos.length + files.length > Dog.MAX_PHOTOS) {
+      return res.status(400).json({
+        success: false,
+        message: `A dog cannot have more than ${Dog.MAX_PHOTOS} photos`
+      });
+    }
+
+    // Check every file before storing any of them
+    const images = [];
+    for (const file of files) {
+      const image = await inspectImage(file.buffer);
+      if (!image) {
+        return res.status(400).json({
+          success: false,
+          message: `${file.originalname} is not a valid JPEG, PNG or WebP image`
+        });
+      }
+      images.push(image);
+    }
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const image = images[i];
+      const baseKey = `dogs/${dog._id}/${crypto.randomBytes(12).toString('hex')}`;
+      const key = `${baseKey}.${image.format === 'jpeg' ? 'jpg' : image.format}`;
+      const thumbnailKey = `${baseKey}-thumb.jpg`;
+
+      const url = await storage.save(key, file.buffer);
+      savedKeys.push(key);
+      const thumbnailUrl = await storage.save(thumbnailKey, await createThumbnail(file.buffer));
+      savedKeys.push(thumbnailKey);
+
+      dog.photos.push({
+        key,
+        thumbnailKey,
+        url,
+        thumbnailUrl,
+        contentType: `image/${image.format}`,
+        size: file.size,
+        width: image.width,
+        height: image.height
+      });
+    }
+
+    dog.ensureCoverPhoto();
+    await dog.save();
+
+    await sendDog(res, dog, 201, 'Photos uploaded successfully');
+  } catch (error) {
+    // Don't leave orphaned files behind when the upload fails half way
+    await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+    next(error);
+  }
+};
+
+// @desc    Reorder a dog's photo gallery
+// @route   PUT /api/dogs/:id/photos/order
+// @access  Private (dog owner or organization member)
+const reorderDogPhotos = async (req, res, next) => {
+  try {
+    const { photoIds } = req.body;
+
+    const dog = await findOwnedDog(req, res);
+    if (!dog) return;
+
+    // The new order must name every photo exactly once
+    const currentIds = dog.photos.map(photo => photo._id.toString()).sort();
+    const requestedIds = [...photoIds].sort();
+    if (currentIds.length !== requestedIds.length || currentIds.some((id, i) => id !== requestedIds[i])) {
+      return res.status(400).json({
+        success: false,
+        message: 'Photo order must list every photo of the dog exactly once'
+      });
+    }
+
+    dog.photos = photoIds.map(photoId => dog.photos.id(photoId));
+    await dog.save();
+
+    await sendDog(res, dog, 200, 'Photos reordered successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set a dog's cover photo
+// @route   PUT /api/dogs/:id/photos/:photoId/cover
+// @access  Private (dog owner or organization member)
+const setCoverPhoto = async (req, res, next) => {
+  try {
+    const dog = await findOwnedDog(req, res);
+    if (!dog) return;
+
+    const photo = dog.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    dog.photos.forEach(other => {
+      other.isCover = false;
+    });
+    photo.isCover = true;
+    await dog.save();
+
+    await sendDog(res, dog, 200, 'Cover photo updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a dog photo
+// @route   DELETE /api/dogs/:id/photos/:photoId
+// @access  Private (dog owner or organization member)
+const deleteDogPhoto = async (req, res, next) => {
+  try {
+    const dog = await findOwnedDog(req, res);
+    if (!dog) return;
+
+    const photo = dog.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    const { key, thumbnailKey } = photo;
+    dog.photos.pull(photo._id);
+    dog.ensureCoverPhoto();
+    await dog.save();
+
+    const storage = getStorage();
+    await Promise.all([storage.remove(key), storage.remove(thumbnailKey)]);
+
+    await sendDog(res, dog, 200, 'Photo deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadDogPhotos,
+  reorderDogPhotos,
+  setCoverPhoto,
+  deleteDogPhoto
+};
@@ -0,0 +1,166 @@
+const SavedSearch = require('../models/SavedSearch');
+
+// Same default radius as the "near me" listing
+const DEFAULT_RADIUS_KM = 50;
+
+const CRITERIA_FIELDS = [
+  'status',
+  'q',
+  'breed',
+  'size',
+  'sex',
+  'energyLevel',
+  'houseTrained',
+  'goodWithKids',
+  'goodWithCats',
+  'goodWithDogs',
+  'spayedNeutered',
+  'minAge',
+  'maxAge',
+  'location'
+];
+
+// Keep only the criteria a saved search understands
+const pickCriteria = (source = {}) => {
+  const criteria = {};
+  CRITERIA_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      criteria[field] = source[field];
+    }
+  });
+
+  if (criteria.location) {
+    const { lat, lng, radiusKm } = criteria.location;
+    criteria.location = { lat, lng, radiusKm: radiusKm || DEFAULT_RADIUS_KM };
+  }
+
+  return criteria;
+};
+
+// Load a saved search belonging to the current user
+const findOwnSearch = async (req, res) => {
+  const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!search) {
+    res.status(404).json({
+      success: false,
+      message: 'Saved search not found'
+    });
+    return null;
+  }
+
+  return search;
+};
+
+// @desc    Save a search
+// @route   POST /api/saved-searches
+// @access  Private
+const createSavedSearch = async (req, res, next) => {
+  try {
+    const { name, criteria, alertsEnabled } = req.body;
+
+    const search = new SavedSearch({
+      user: req.user._id,
+      name,
+      criteria: pickCriteria(criteria),
+      alertsEnabled
+    });
+
+    await search.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: { savedSearch: search }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's saved searches
+// @route   GET /api/saved-searches
+// @access  Private
+const getSavedSearches = async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { savedSearches }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single saved search by ID
+// @route   GET /api/saved-searches/:id
+// @access  Private
+const getSavedSearchById = async (req, res, next) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    res.status(200).json({
+      success: true,
+      data: { savedSearch: search }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a saved search
+// @route   PUT /api/saved-searches/:id
+// @access  Private
+const updateSavedSearch = async (req, res, next) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    const { name, criteria, alertsEnabled } = req.body;
+    if (name !== undefined) search.name = name;
+    if (alertsEnabled !== undefined) search.alertsEnabled = alertsEnabled;
+
+    // Criteria are replaced as a whole, not merged
+    if (criteria !== undefined) search.criteria = pickCriteria(criteria);
+
+    await search.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: { savedSearch: search }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private
+const deleteSavedSearch = async (req, res, next) => {
+  try {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    await search.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createSavedSearch,
+  getSavedSearches,
+  getSavedSearchById,
+  updateSavedSearch,
+  deleteSavedSearch
+};
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const { getAdoptionStats } = require('../services/adoptionStats');
+
+// Date range and grouping options shared by both endpoints
+const statsOptions = (query) => ({
+  from: query.from || null,
+  to: query.to || null,
+  interval: query.interval || 'month'
+});
+
+// @desc    Get platform-wide listing and adoption statistics
+// @route   GET /api/stats
+// @access  Private
+const getStats = async (req, res, next) => {
+  try {
+    const stats = await getAdoptionStats(statsOptions(req.query));
+
+    res.status(200).json({
+      success: true,
+      data: { stats }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get listing and adoption statistics for one owner's dogs
+// @route   GET /api/stats/owners/:id
+// @access  Private (the owner, staff or admin)
+const getOwnerStats = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (id !== req.user._id.toString() && !req.user.hasRole('staff', 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view statistics for your own dogs'
+      });
+    }
+
+    const owner = await User.findById(id);
+
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const stats = await getAdoptionStats({ ...statsOptions(req.query), owner: owner._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        owner: { id: owner._id, username: owner.username },
+        stats
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStats,
+  getOwnerStats
+};
@@ -16,13 +16,28 @@ const authenticateToken = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.userId);
 
-    if (!user) {
+    if (!user || user.isDeleted) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended'
+      });
+    }
+
+    // Tokens issued before the user logged out everywhere are no longer valid
+    if ((decoded.tokenVersion || 0) !== user.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
+
     req.user = user;
     next();
   } catch (error) {
@@ -48,4 +63,18 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+// Restrict a route to users with one of the given roles.
+// Must run after authenticateToken.
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !req.user.hasRole(...roles)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+};
+
+module.exports = { authenticateToken, authorize };
\ No newline at end of file
@@ -1,3 +1,5 @@
+const { MAX_PHOTO_BYTES } = require('./upload');
+
 // Global error handling middleware
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
@@ -33,6 +35,17 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Multer upload errors
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? `Photos cannot exceed ${Math.round(MAX_PHOTO_BYTES / (1024 * 1024))} MB`
+      : err.message;
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
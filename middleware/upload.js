@@ -0,0 +1,31 @@
+const express = require('express');
+const multer = require('multer');
+
+const MAX_PHOTO_BYTES = parseInt(process.env.MAX_PHOTO_BYTES) || 5 * 1024 * 1024;
+const MAX_PHOTOS_PER_UPLOAD = 10;
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Keep uploads in memory; they are checked and resized before being stored
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_PHOTO_BYTES,
+    files: MAX_PHOTOS_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error('Only JPEG, PNG and WebP images are allowed');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+const uploadPhotos = photoUpload.array('photos', MAX_PHOTOS_PER_UPLOAD);
+
+// Bulk import files are sent as the raw request body
+const MAX_IMPORT_BYTES = '2mb';
+const uploadCsv = express.text({ type: 'text/csv', limit: MAX_IMPORT_BYTES });
+
+module.exports = { uploadPhotos, uploadCsv, MAX_PHOTO_BYTES };
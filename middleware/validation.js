@@ -1,4 +1,32 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { decodeCursor } = require('../utils/cursor');
+const { LISTING_SORT_NAMES } = require('../models/Dog');
+
+const USER_ROLES = ['adopter', 'staff', 'admin'];
+const MEMBER_ROLES = ['admin', 'member', 'viewer'];
+const DOG_SIZES = ['small', 'medium', 'large', 'extra-large'];
+const DOG_SEXES = ['male', 'female'];
+const ENERGY_LEVELS = ['low', 'medium', 'high'];
+const DOG_FLAGS = ['houseTrained', 'goodWithKids', 'goodWithCats', 'goodWithDogs', 'spayedNeutered'];
+const EXPORT_FORMATS = ['csv', 'json'];
+const STATS_INTERVALS = ['week', 'month'];
+
+// Checks a comma separated list against the allowed values
+const isListOf = (allowed) => (value) => {
+  return String(value).split(',').every(item => allowed.includes(item));
+};
+
+// Lists arrive comma separated, as an array, or as a repeated query parameter
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','));
+
+// An optional query parameter that may only be given once. Repeated
+// parameters arrive as arrays, which the checks after this would accept
+// element by element.
+const singleQuery = (fields) => query(fields)
+  .optional()
+  .isString()
+  .withMessage((value, { path }) => `${path} must be given once`)
+  .bail();
 
 // Validation middleware to handle errors
 const handleValidationErrors = (req, res, next) => {
@@ -24,6 +52,12 @@ const validateUserRegistration = [
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .toLowerCase(),
   handleValidationErrors
 ];
 
@@ -39,16 +73,361 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+// Second login step validation
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .withMessage('Challenge token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Code is required')
+    .isLength({ max: 20 })
+    .withMessage('Code cannot exceed 20 characters'),
+  handleValidationErrors
+];
+
+// Refresh token validation
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
+// Password reset request validation
+const validatePasswordResetRequest = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .toLowerCase(),
+  handleValidationErrors
+];
+
+// Password reset confirmation validation
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .withMessage('Reset token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  handleValidationErrors
+];
+
+// Password change validation
+const validatePasswordChange = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .bail()
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password'),
+  handleValidationErrors
+];
+
+// Email change validation
+const validateEmailChange = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .toLowerCase(),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  handleValidationErrors
+];
+
+// Account deletion validation
+const validateAccountDeletion = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  handleValidationErrors
+];
+
+// Two-factor setup code validation
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  handleValidationErrors
+];
+
+// Two-factor disabling validation
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  handleValidationErrors
+];
+
+// Admin user listing validation
+const validateUserList = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('role')
+    .optional()
+    .isIn(USER_ROLES)
+    .withMessage(`Role must be one of ${USER_ROLES.join(', ')}`),
+  query('suspended')
+    .optional()
+    .isBoolean()
+    .withMessage('Suspended must be true or false')
+    .toBoolean(),
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Search cannot exceed 30 characters'),
+  handleValidationErrors
+];
+
+// Role change validation
+const validateRoleChange = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('role')
+    .isIn(USER_ROLES)
+    .withMessage(`Role must be one of ${USER_ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+// Account suspension validation
+const validateSuspension = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Suspension reason cannot exceed 200 characters'),
+  handleValidationErrors
+];
+
+// Dog profile rules shared by registration and updates
+const dogAttributeRules = [
+  body('breed')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Breed must be between 1 and 50 characters'),
+  body('birthDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Birth date must be a valid date')
+    .bail()
+    .custom(value => new Date(value) <= new Date())
+    .withMessage('Birth date cannot be in the future')
+    .toDate(),
+  body('age')
+    .optional()
+    .isFloat({ min: 0, max: 30 })
+    .withMessage('Age must be a number of years between 0 and 30')
+    .toFloat(),
+  body('size')
+    .optional()
+    .isIn(DOG_SIZES)
+    .withMessage(`Size must be one of ${DOG_SIZES.join(', ')}`),
+  body('sex')
+    .optional()
+    .isIn(DOG_SEXES)
+    .withMessage('Sex must be either male or female'),
+  body('energyLevel')
+    .optional()
+    .isIn(ENERGY_LEVELS)
+    .withMessage(`Energy level must be one of ${ENERGY_LEVELS.join(', ')}`),
+  body(DOG_FLAGS)
+    .optional()
+    .isBoolean()
+    .withMessage((value, { path }) => `${path} must be true or false`)
+    .toBoolean(),
+  body('location')
+    .optional()
+    .isObject()
+    .withMessage('Location must be an object')
+    .bail()
+    .custom(location => (location.lat === undefined) === (location.lng === undefined))
+    .withMessage('Location latitude and longitude must be provided together'),
+  body('location.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('location.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  body('location.city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('City cannot exceed 100 characters'),
+  body('location.postcode')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Postcode cannot exceed 20 characters')
+];
+
+// Name and description rules; required for new dogs, optional on updates
+const dogNameRule = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Dog name must be between 1 and 50 characters');
+
+const dogDescriptionRule = () => body('description')
+  .trim()
+  .isLength({ min: 1, max: 500 })
+  .withMessage('Description must be between 1 and 500 characters');
+
+// Rules for a single new dog, shared by registration and bulk import rows
+const dogRegistrationRules = [
+  dogNameRule(),
+  dogDescriptionRule(),
+  ...dogAttributeRules
+];
+
 // Dog registration validation
 const validateDogRegistration = [
-  body('name')
+  ...dogRegistrationRules,
+  body('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid organization ID'),
+  handleValidationErrors
+];
+
+// Bulk dog import validation; the rows themselves are checked one by one
+// against dogRegistrationRules so that a bad row does not fail the import
+const validateDogImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+    .toBoolean(),
+  query('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid organization ID'),
+  body('dogs')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Dogs must be a non-empty array'),
+  handleValidationErrors
+];
+
+// Download format for reports and exports
+const exportFormatRule = query('format')
+  .optional()
+  .isIn(EXPORT_FORMATS)
+  .withMessage('Format must be either csv or json');
+
+// Import report download validation
+const validateImportReport = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid import ID'),
+  exportFormatRule,
+  handleValidationErrors
+];
+
+// Dog export validation; filters come from validatePagination
+const validateExportFormat = [
+  exportFormatRule,
+  handleValidationErrors
+];
+
+// Dog update validation: the registration rules, with every field optional
+const validateDogUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid dog ID'),
+  dogNameRule().optional(),
+  dogDescriptionRule().optional(),
+  ...dogAttributeRules,
+  handleValidationErrors
+];
+
+// "Near me" listing validation
+const validateLocationQuery = [
+  singleQuery('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  singleQuery('lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  singleQuery('radiusKm')
+    .isFloat({ gt: 0, max: 500 })
+    .withMessage('Radius must be greater than 0 and at most 500 km')
+    .toFloat(),
+  query('lat')
+    .custom((lat, { req }) => (lat === undefined) === (req.query.lng === undefined))
+    .withMessage('lat and lng must be provided together'),
+  query('radiusKm')
+    .custom((radiusKm, { req }) => radiusKm === undefined || req.query.lat !== undefined)
+    .withMessage('radiusKm requires lat and lng'),
+  query('q')
+    .custom((q, { req }) => q === undefined || req.query.lat === undefined)
+    .withMessage('Text search cannot be combined with a location search'),
+  handleValidationErrors
+];
+
+// Dog listing filter validation
+const validateDogFilters = [
+  singleQuery('breed')
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Dog name must be between 1 and 50 characters'),
-  body('description')
-    .trim()
-    .isLength({ min: 1, max: 500 })
-    .withMessage('Description must be between 1 and 500 characters'),
+    .withMessage('Breed must be between 1 and 50 characters'),
+  query('size')
+    .optional()
+    .customSanitizer(value => toList(value).join(','))
+    .custom(isListOf(DOG_SIZES))
+    .withMessage(`Size must be one or more of ${DOG_SIZES.join(', ')}`),
+  query('sex')
+    .optional()
+    .customSanitizer(value => toList(value).join(','))
+    .custom(isListOf(DOG_SEXES))
+    .withMessage('Sex must be either male or female'),
+  query('energyLevel')
+    .optional()
+    .customSanitizer(value => toList(value).join(','))
+    .custom(isListOf(ENERGY_LEVELS))
+    .withMessage(`Energy level must be one or more of ${ENERGY_LEVELS.join(', ')}`),
+  singleQuery(DOG_FLAGS)
+    .isBoolean()
+    .withMessage((value, { path }) => `${path} must be true or false`)
+    .toBoolean(),
+  singleQuery(['minAge', 'maxAge'])
+    .isInt({ min: 0, max: 30 })
+    .withMessage((value, { path }) => `${path} must be a whole number of years between 0 and 30`)
+    .toInt(),
   handleValidationErrors
 ];
 
@@ -65,6 +444,374 @@ const validateDogAdoption = [
   handleValidationErrors
 ];
 
+// Application decision validation
+const validateApplicationDecision = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Decision note cannot exceed 200 characters'),
+  handleValidationErrors
+];
+
+// Application listing validation
+const validateApplicationList = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'withdrawn'])
+    .withMessage('Status must be one of pending, approved, rejected or withdrawn'),
+  handleValidationErrors
+];
+
+// Photo ID validation
+const validatePhotoId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid dog ID'),
+  param('photoId')
+    .isMongoId()
+    .withMessage('Invalid photo ID'),
+  handleValidationErrors
+];
+
+// Photo order validation
+const validatePhotoOrder = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid dog ID'),
+  body('photoIds')
+    .isArray({ min: 1 })
+    .withMessage('Photo IDs must be a non-empty array'),
+  body('photoIds.*')
+    .isMongoId()
+    .withMessage('Invalid photo ID'),
+  handleValidationErrors
+];
+
+// Organization creation validation
+const validateOrganization = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Organization name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Organization update validation
+const validateOrganizationUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid organization ID'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Organization name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Organization member validation
+const validateMemberAddition = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid organization ID'),
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required'),
+  body('role')
+    .optional()
+    .isIn(MEMBER_ROLES)
+    .withMessage(`Role must be one of ${MEMBER_ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+const validateMemberId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid organization ID'),
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  handleValidationErrors
+];
+
+const validateMemberRole = [
+  ...validateMemberId.slice(0, -1),
+  body('role')
+    .isIn(MEMBER_ROLES)
+    .withMessage(`Role must be one of ${MEMBER_ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+// Saved search criteria use the same rules as the dog listing filters
+const savedSearchCriteriaRules = [
+  body('criteria')
+    .optional()
+    .isObject()
+    .withMessage('Criteria must be an object'),
+  body('criteria.status')
+    .optional()
+    .isIn(['available', 'adopted'])
+    .withMessage('Status must be either available or adopted'),
+  body('criteria.q')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
+  body('criteria.breed')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Breed must be between 1 and 50 characters'),
+  body('criteria.size')
+    .optional()
+    .custom(isListOf(DOG_SIZES))
+    .withMessage(`Size must be one or more of ${DOG_SIZES.join(', ')}`)
+    .customSanitizer(toList),
+  body('criteria.sex')
+    .optional()
+    .custom(isListOf(DOG_SEXES))
+    .withMessage('Sex must be either male or female')
+    .customSanitizer(toList),
+  body('criteria.energyLevel')
+    .optional()
+    .custom(isListOf(ENERGY_LEVELS))
+    .withMessage(`Energy level must be one or more of ${ENERGY_LEVELS.join(', ')}`)
+    .customSanitizer(toList),
+  body(DOG_FLAGS.map(flag => `criteria.${flag}`))
+    .optional()
+    .isBoolean()
+    .withMessage((value, { path }) => `${path} must be true or false`)
+    .toBoolean(),
+  body(['criteria.minAge', 'criteria.maxAge'])
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage((value, { path }) => `${path} must be a whole number of years between 0 and 30`)
+    .toInt(),
+  body('criteria.location')
+    .optional()
+    .isObject()
+    .withMessage('Location must be an object')
+    .bail()
+    .custom(location => location.lat !== undefined && location.lng !== undefined)
+    .withMessage('Location latitude and longitude are required'),
+  body('criteria.location.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('criteria.location.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  body('criteria.location.radiusKm')
+    .optional()
+    .isFloat({ gt: 0, max: 500 })
+    .withMessage('Radius must be greater than 0 and at most 500 km')
+    .toFloat(),
+  body('alertsEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('alertsEnabled must be true or false')
+    .toBoolean()
+];
+
+// Saved search validation
+const validateSavedSearch = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Saved search name must be between 1 and 50 characters'),
+  ...savedSearchCriteriaRules,
+  handleValidationErrors
+];
+
+const validateSavedSearchUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid saved search ID'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Saved search name must be between 1 and 50 characters'),
+  ...savedSearchCriteriaRules,
+  handleValidationErrors
+];
+
+// Notification listing validation
+const validateNotificationList = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// Adoption return validation
+const validateDogReturn = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid dog ID'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Return reason must be between 1 and 500 characters'),
+  handleValidationErrors
+];
+
+// Dog removal validation
+const validateDogRemoval = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid dog ID'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Removal reason must be between 1 and 200 characters'),
+  handleValidationErrors
+];
+
+// Adopted dogs listing validation
+const validateAdoptionScope = [
+  query('scope')
+    .optional()
+    .isIn(['current', 'past'])
+    .withMessage('Scope must be either current or past'),
+  handleValidationErrors
+];
+
+// Conversation start validation
+const validateConversation = [
+  body('dogId')
+    .isMongoId()
+    .withMessage('Invalid dog ID'),
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message must be between 1 and 1000 characters'),
+  handleValidationErrors
+];
+
+// Message validation
+const validateMessage = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid conversation ID'),
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message must be between 1 and 1000 characters'),
+  handleValidationErrors
+];
+
+// Conversation listing validation
+const validateConversationList = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+// Message listing validation
+const validateMessageList = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid conversation ID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+// A date-only range end ("2024-06-30") covers the whole of that day
+const toRangeEnd = (value) => {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Statistics date range and grouping rules
+const statsRules = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date')
+    .toDate(),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+    .bail()
+    .customSanitizer(toRangeEnd)
+    .custom((to, { req }) => !req.query.from || to >= req.query.from)
+    .withMessage('To must not be before from'),
+  query('interval')
+    .optional()
+    .isIn(STATS_INTERVALS)
+    .withMessage(`Interval must be one of ${STATS_INTERVALS.join(', ')}`)
+];
+
+// Statistics validation
+const validateStats = [
+  ...statsRules,
+  handleValidationErrors
+];
+
+// Per-owner statistics validation
+const validateOwnerStats = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  ...statsRules,
+  handleValidationErrors
+];
+
 // MongoDB ObjectId validation
 const validateObjectId = [
   param('id')
@@ -87,15 +834,86 @@ const validatePagination = [
     .optional()
     .isIn(['available', 'adopted'])
     .withMessage('Status must be either available or adopted'),
+  query('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid organization ID'),
+  query('removed')
+    .optional()
+    .isBoolean()
+    .withMessage('Removed must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// Listing sort and cursor validation
+const validateListingOrder = [
+  singleQuery('sort')
+    .isIn(LISTING_SORT_NAMES)
+    .withMessage(`Sort must be one of ${LISTING_SORT_NAMES.join(', ')}`),
+  singleQuery('cursor')
+    .custom(value => decodeCursor(value, LISTING_SORT_NAMES) !== null)
+    .withMessage('Invalid cursor'),
+  handleValidationErrors
+];
+
+// Full-text search validation
+const validateSearch = [
+  singleQuery('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
   handleValidationErrors
 ];
 
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateTwoFactorLogin,
+  validateRefreshToken,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validatePasswordChange,
+  validateEmailChange,
+  validateAccountDeletion,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateUserList,
+  validateRoleChange,
+  validateSuspension,
   validateDogRegistration,
+  validateDogImport,
+  validateImportReport,
+  validateExportFormat,
+  validateDogUpdate,
+  validateDogFilters,
+  validateLocationQuery,
   validateDogAdoption,
+  validateDogReturn,
+  validateDogRemoval,
+  validateAdoptionScope,
+  validateApplicationDecision,
+  validateApplicationList,
+  validatePhotoId,
+  validatePhotoOrder,
+  validateOrganization,
+  validateOrganizationUpdate,
+  validateMemberAddition,
+  validateMemberId,
+  validateMemberRole,
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateNotificationList,
+  validateConversation,
+  validateConversationList,
+  validateMessage,
+  validateMessageList,
+  validateStats,
+  validateOwnerStats,
   validateObjectId,
   validatePagination,
+  validateListingOrder,
+  validateSearch,
+  dogRegistrationRules,
   handleValidationErrors
 };
\ No newline at end of file
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const adoptionApplicationSchema = new mongoose.Schema({
+  dog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dog',
+    required: true
+  },
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Adoption message cannot exceed 200 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Decision note cannot exceed 200 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+adoptionApplicationSchema.index({ dog: 1, status: 1 });
+adoptionApplicationSchema.index({ applicant: 1, status: 1 });
+
+// Only one open application per applicant and dog
+adoptionApplicationSchema.index(
+  { dog: 1, applicant: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Virtual for checking if the application can still be decided
+adoptionApplicationSchema.virtual('isPending').get(function() {
+  return this.status === 'pending';
+});
+
+// Method to record the owner's decision
+adoptionApplicationSchema.methods.decide = function(status, reviewerId, note) {
+  this.status = status;
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.decisionNote = note;
+};
+
+// Static method to reject every other pending application for a dog,
+// returning the applications it rejected
+adoptionApplicationSchema.statics.rejectOthers = async function(dogId, approvedId, reviewerId) {
+  const others = await this.find({ dog: dogId, status: 'pending', _id: { $ne: approvedId } });
+
+  for (const other of others) {
+    other.decide('rejected', reviewerId, 'Another application was approved');
+    await other.save();
+  }
+
+  return others;
+};
+
+module.exports = mongoose.model('AdoptionApplication', adoptionApplicationSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  dog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dog',
+    required: true
+  },
+  // The interested adopter and the user who listed the dog
+  adopter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessageAt: {
+    type: Date,
+    default: null
+  },
+  lastMessagePreview: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One thread per adopter and dog
+conversationSchema.index({ dog: 1, adopter: 1 }, { unique: true });
+conversationSchema.index({ adopter: 1, lastMessageAt: -1 });
+conversationSchema.index({ owner: 1, lastMessageAt: -1 });
+
+// Method to check a user takes part in the conversation
+conversationSchema.methods.hasParticipant = function(userId) {
+  return [this.adopter, this.owner].some(participant => {
+    return (participant._id || participant).toString() === userId.toString();
+  });
+};
+
+// Method to get the participant on the other side
+conversationSchema.methods.otherParticipant = function(userId) {
+  const adopterId = this.adopter._id || this.adopter;
+  return adopterId.toString() === userId.toString() ? this.owner : this.adopter;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -1,4 +1,75 @@
 const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/search');
+const { encodeCursor } = require('../utils/cursor');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+const EARTH_RADIUS_KM = 6378.1;
+const MAX_PHOTOS = 20;
+
+// Listing sort orders. Ties are broken on _id so pages never overlap or skip.
+const LISTING_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  name: { field: 'name', direction: 1 },
+  recentlyAdopted: { field: 'adoptedAt', direction: -1 },
+  distance: { field: 'distanceKm', direction: 1 }
+};
+
+// Case-insensitive ordering for the name sort
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Photos are kept in gallery order; exactly one is the cover once any exist
+const photoSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: {
+    type: String,
+    required: true
+  },
+  contentType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  isCover: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// An adoption that ended with the dog coming back
+const pastAdoptionSchema = new mongoose.Schema({
+  adopter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  adoptedAt: Date,
+  returnedAt: {
+    type: Date,
+    required: true
+  },
+  returnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Return reason cannot exceed 500 characters']
+  }
+}, { _id: false });
 
 const dogSchema = new mongoose.Schema({
   name: {
@@ -13,11 +84,70 @@ const dogSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
+  breed: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Breed cannot exceed 50 characters']
+  },
+  birthDate: {
+    type: Date,
+    default: null
+  },
+  size: {
+    type: String,
+    enum: ['small', 'medium', 'large', 'extra-large']
+  },
+  sex: {
+    type: String,
+    enum: ['male', 'female']
+  },
+  energyLevel: {
+    type: String,
+    enum: ['low', 'medium', 'high']
+  },
+  houseTrained: Boolean,
+  goodWithKids: Boolean,
+  goodWithCats: Boolean,
+  goodWithDogs: Boolean,
+  spayedNeutered: Boolean,
+  location: {
+    // GeoJSON point, coordinates are [longitude, latitude]
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    city: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'City cannot exceed 100 characters']
+    },
+    postcode: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Postcode cannot exceed 20 characters']
+    }
+  },
+  photos: {
+    type: [photoSchema],
+    validate: [photos => photos.length <= MAX_PHOTOS, `A dog cannot have more than ${MAX_PHOTOS} photos`]
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Set when the dog is registered on behalf of a shelter
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   adopter: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -36,6 +166,35 @@ const dogSchema = new mongoose.Schema({
   adoptedAt: {
     type: Date,
     default: null
+  },
+  pastAdoptions: {
+    type: [pastAdoptionSchema],
+    default: []
+  },
+  // Removed listings are hidden, restorable for a grace period, then purged
+  removedAt: {
+    type: Date,
+    default: null
+  },
+  removedReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Removal reason cannot exceed 200 characters']
+  },
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set when a moderator took the listing down; owners cannot undo that
+  moderated: {
+    type: Boolean,
+    default: false
+  },
+  favoritesCount: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true
@@ -44,13 +203,52 @@ const dogSchema = new mongoose.Schema({
 // Index for efficient queries
 dogSchema.index({ owner: 1, status: 1 });
 dogSchema.index({ adopter: 1 });
+dogSchema.index({ removedAt: 1 });
+dogSchema.index({ 'pastAdoptions.adopter': 1 });
+dogSchema.index({ organization: 1, status: 1 });
 dogSchema.index({ status: 1 });
+dogSchema.index({ status: 1, breed: 1 });
+dogSchema.index({ status: 1, size: 1, energyLevel: 1 });
+dogSchema.index({ status: 1, birthDate: 1 });
+dogSchema.index({ status: 1, goodWithKids: 1, goodWithCats: 1, goodWithDogs: 1 });
+dogSchema.index({ 'location.point': '2dsphere' });
+
+// Full-text index; a match on the name ranks above one in the description
+dogSchema.index(
+  { name: 'text', breed: 'text', description: 'text' },
+  { name: 'dog_text_search', weights: { name: 10, breed: 5, description: 1 } }
+);
 
 // Virtual for checking if dog is adopted
 dogSchema.virtual('isAdopted').get(function() {
   return this.status === 'adopted';
 });
 
+// Virtual for checking if the listing has been removed
+dogSchema.virtual('isRemoved').get(function() {
+  return Boolean(this.removedAt);
+});
+
+// Virtual for the dog's age in whole years
+dogSchema.virtual('age').get(function() {
+  if (!this.birthDate) return null;
+  const years = (Date.now() - this.birthDate.getTime()) / YEAR_MS;
+  return Math.max(0, Math.floor(years));
+});
+
+// Largest gallery a dog can have
+dogSchema.statics.MAX_PHOTOS = MAX_PHOTOS;
+
+// Sorts that listings can be paged through with a cursor
+dogSchema.statics.LISTING_SORT_NAMES = Object.keys(LISTING_SORTS);
+
+// Method to make sure one photo is the cover, falling back to the first
+dogSchema.methods.ensureCoverPhoto = function() {
+  if (this.photos.length > 0 && !this.photos.some(photo => photo.isCover)) {
+    this.photos[0].isCover = true;
+  }
+};
+
 // Method to adopt a dog
 dogSchema.methods.adoptDog = function(adopterId, message) {
   this.adopter = adopterId;
@@ -59,15 +257,243 @@ dogSchema.methods.adoptDog = function(adopterId, message) {
   this.adoptedAt = new Date();
 };
 
-// Static method to get dogs with pagination
-dogSchema.statics.getPaginatedDogs = function(filter, page = 1, limit = 10) {
-  const skip = (page - 1) * limit;
-  return this.find(filter)
+// Static method to adopt a dog only while it is still listed and available,
+// so two concurrent approvals cannot both win. Resolves to null otherwise.
+dogSchema.statics.claimForAdoption = function(id, adopterId, message) {
+  const update = { adopter: adopterId, status: 'adopted', adoptedAt: new Date() };
+  if (message !== undefined) {
+    update.adoptionMessage = message;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: id, status: 'available', removedAt: null },
+    update,
+    { new: true, runValidators: true }
+  );
+};
+
+// Method to take a dog back from its adopter and list it again
+dogSchema.methods.returnDog = function(reason, returnedBy) {
+  this.pastAdoptions.push({
+    adopter: this.adopter,
+    adoptedAt: this.adoptedAt,
+    returnedAt: new Date(),
+    returnedBy,
+    reason
+  });
+  this.adopter = null;
+  this.adoptionMessage = undefined;
+  this.status = 'available';
+  this.adoptedAt = null;
+};
+
+// Method to hide the listing without deleting it
+dogSchema.methods.markRemoved = function(reason, removedBy, moderated = false) {
+  this.removedAt = new Date();
+  this.removedReason = reason;
+  this.removedBy = removedBy;
+  this.moderated = moderated;
+};
+
+// Method to bring a removed listing back
+dogSchema.methods.restore = function() {
+  this.removedAt = null;
+  this.removedReason = undefined;
+  this.removedBy = null;
+  this.moderated = false;
+};
+
+// Static method to hide removed dogs from a filter, unless it asks about removal itself
+dogSchema.statics.listedFilter = function(filter = {}) {
+  return filter.removedAt === undefined ? { ...filter, removedAt: null } : filter;
+};
+
+// Static method to find a dog whose listing has not been removed
+dogSchema.statics.findListed = function(id) {
+  return this.findOne({ _id: id, removedAt: null });
+};
+
+// Static method to estimate a birth date from an age in years
+dogSchema.statics.birthDateFromAge = function(age) {
+  return new Date(Date.now() - age * YEAR_MS);
+};
+
+// Static method to turn listing query parameters into an attribute filter
+dogSchema.statics.buildAttributeFilter = function(query = {}) {
+  const filter = {};
+
+  if (query.breed) {
+    filter.breed = new RegExp(`^${escapeRegex(query.breed)}$`, 'i');
+  }
+
+  // Enum attributes accept a comma separated list of values
+  ['size', 'sex', 'energyLevel'].forEach(field => {
+    if (query[field]) {
+      filter[field] = { $in: query[field].split(',') };
+    }
+  });
+
+  ['houseTrained', 'goodWithKids', 'goodWithCats', 'goodWithDogs', 'spayedNeutered'].forEach(field => {
+    if (typeof query[field] === 'boolean') {
+      filter[field] = query[field];
+    }
+  });
+
+  // A dog is N years old until the day before it turns N + 1
+  if (query.minAge !== undefined || query.maxAge !== undefined) {
+    filter.birthDate = {};
+    if (query.minAge !== undefined) {
+      filter.birthDate.$lte = this.birthDateFromAge(query.minAge);
+    }
+    if (query.maxAge !== undefined) {
+      filter.birthDate.$gt = this.birthDateFromAge(query.maxAge + 1);
+    }
+  }
+
+  return filter;
+};
+
+// Static method to add a full-text search to a filter
+dogSchema.statics.applySearch = function(filter, search) {
+  if (!search) return filter;
+  return { ...filter, $text: { $search: search } };
+};
+
+// Static method to pick a listing's sort: the one asked for, else distance
+// around a location, relevance when searching and newest otherwise
+dogSchema.statics.resolveSort = function({ sort, search, near } = {}) {
+  if (sort) return sort;
+  if (near) return 'distance';
+  return search ? 'relevance' : 'newest';
+};
+
+// Static method to build the filter that continues a listing after a cursor
+dogSchema.statics.cursorFilter = function(sort, cursor) {
+  const { field, direction } = LISTING_SORTS[sort];
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  // Missing values sort lowest: first when ascending, last when descending
+  if (cursor.value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const conditions = [
+    { [field]: { [after]: cursor.value } },
+    { [field]: cursor.value, _id: { [after]: id } }
+  ];
+  if (direction === -1) {
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+};
+
+// Static method to get the cursor continuing a listing after a dog
+// (null for relevance, which has no stable order to resume from)
+dogSchema.statics.cursorFor = function(dog, sort) {
+  if (!LISTING_SORTS[sort]) return null;
+  // get() also reads fields outside the schema, such as distanceKm
+  const value = dog.get(LISTING_SORTS[sort].field);
+  return encodeCursor(sort, value === undefined ? null : value, dog._id);
+};
+
+// Static method to restrict a filter to dogs within a radius
+dogSchema.statics.withinRadius = function(filter, near) {
+  const { lat, lng, radiusKm } = near;
+  return {
+    ...filter,
+    'location.point': {
+      $geoWithin: { $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM] }
+    }
+  };
+};
+
+// Static method to get dogs with pagination. Pages are read by page number or,
+// when options.cursor is given, after the last dog of the previous page.
+// options.sort is one of LISTING_SORTS or 'relevance' (see resolveSort).
+dogSchema.statics.getPaginatedDogs = function(filter, page = 1, limit = 10, options = {}) {
+  filter = this.listedFilter(filter);
+  const sort = this.resolveSort(options);
+
+  if (sort === 'distance') {
+    return this.getNearbyDogs(filter, options.near, page, limit, options.cursor);
+  }
+
+  if (options.near) {
+    filter = this.withinRadius(filter, options.near);
+  }
+  filter = this.applySearch(filter, options.search);
+  if (options.cursor) {
+    filter = { ...filter, $and: [this.cursorFilter(sort, options.cursor)] };
+  }
+
+  const query = this.find(filter)
     .populate('owner', 'username')
-    .populate('adopter', 'username')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
+    .populate('organization', 'name')
+    .populate('adopter', 'username');
+
+  if (options.search) {
+    query.select({ score: { $meta: 'textScore' } });
+  }
+
+  if (sort === 'relevance') {
+    query.sort({ score: { $meta: 'textScore' }, createdAt: -1, _id: -1 });
+  } else {
+    const { field, direction } = LISTING_SORTS[sort];
+    query.sort({ [field]: direction, _id: direction });
+    if (sort === 'name') {
+      query.collation(NAME_COLLATION);
+    }
+  }
+
+  // A cursor replaces the page offset
+  if (!options.cursor) {
+    query.skip((page - 1) * limit);
+  }
+  return query.limit(limit);
+};
+
+// Static method to get dogs within a radius, nearest first, with their distance in km
+dogSchema.statics.getNearbyDogs = async function(filter, near, page = 1, limit = 10, cursor = null) {
+  const results = await this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [near.lng, near.lat] },
+        key: 'location.point',
+        distanceField: 'distanceKm',
+        distanceMultiplier: 0.001,
+        maxDistance: near.radiusKm * 1000,
+        query: filter,
+        spherical: true
+      }
+    },
+    // Rounded before sorting so cursors compare exactly the values clients see
+    { $set: { distanceKm: { $round: ['$distanceKm', 2] } } },
+    { $sort: { distanceKm: 1, _id: 1 } },
+    cursor ? { $match: this.cursorFilter('distance', cursor) } : { $skip: (page - 1) * limit },
+    { $limit: limit }
+  ]);
+
+  // Hydrate so pages match other listings; distanceKm is kept on each document
+  const dogs = results.map(result => this.hydrate(result));
+
+  return this.populate(dogs, [
+    { path: 'owner', select: 'username' },
+    { path: 'organization', select: 'name' },
+    { path: 'adopter', select: 'username' }
+  ]);
+};
+
+// Static method to count dogs matching a listing filter
+dogSchema.statics.countPaginatedDogs = function(filter, options = {}) {
+  filter = this.listedFilter(filter);
+
+  if (options.near) {
+    filter = this.withinRadius(filter, options.near);
+  }
+  return this.countDocuments(this.applySearch(filter, options.search));
 };
 
 module.exports = mongoose.model('Dog', dogSchema);
\ No newline at end of file
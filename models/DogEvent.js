@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const dogEventSchema = new mongoose.Schema({
+  // Kept as a plain reference: the history outlives the listing
+  dog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dog',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['created', 'edited', 'adopted', 'returned', 'removed', 'restored', 'purged'],
+    required: true
+  },
+  // Null when the platform itself made the change
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Values of the changed fields before and after the event
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient queries
+dogEventSchema.index({ dog: 1, createdAt: -1 });
+
+// The history is append-only: events are never changed once written
+dogEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Dog history events cannot be modified'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'].forEach(operation => {
+  dogEventSchema.pre(operation, function(next) {
+    next(new Error('Dog history events cannot be modified'));
+  });
+});
+
+module.exports = mongoose.model('DogEvent', dogEventSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Outcome of one row of an import file
+const importRowSchema = new mongoose.Schema({
+  // 1-based position of the dog in the file, not counting the CSV header
+  row: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['valid', 'invalid', 'imported'],
+    required: true
+  },
+  dog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dog',
+    default: null
+  },
+  // "errors" is reserved by Mongoose, hence "issues"
+  issues: [{
+    _id: false,
+    field: String,
+    message: String
+  }]
+}, { _id: false });
+
+const dogImportSchema = new mongoose.Schema({
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: true
+  },
+  // Dry runs only validate; nothing is listed
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  validRows: {
+    type: Number,
+    default: 0
+  },
+  invalidRows: {
+    type: Number,
+    default: 0
+  },
+  importedRows: {
+    type: Number,
+    default: 0
+  },
+  rows: [importRowSchema]
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+dogImportSchema.index({ importedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DogImport', dogImportSchema);
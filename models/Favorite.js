@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dog',
+    required: true
+  },
+  // Kept so the watchlist still makes sense after the dog is removed
+  dogName: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true }
+});
+
+// One favorite per user and dog
+favoriteSchema.index({ user: 1, dog: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, createdAt: -1 });
+favoriteSchema.index({ dog: 1 });
+
+// Virtual for what happened to the dog since it was favorited
+// (requires the dog to be populated)
+favoriteSchema.virtual('availability').get(function() {
+  if (!this.dog || this.dog.removedAt) return 'removed';
+  if (!this.dog.status) return undefined;
+  return this.dog.status === 'available' ? 'available' : 'adopted';
+});
+
+// Virtual for flagging favorites that can no longer be adopted
+favoriteSchema.virtual('isUnavailable').get(function() {
+  const availability = this.availability;
+  return availability === undefined ? undefined : availability !== 'available';
+});
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A login that passed the password check and still needs a two-factor code
+const loginChallengeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only a SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+loginChallengeSchema.index({ user: 1 });
+
+// Expired challenges are cleaned up by MongoDB
+loginChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginChallenge', loginChallengeSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Recent failed logins for one username ("user:<name>") or address ("ip:<ip>")
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // The failures are forgotten after this, and MongoDB removes the record
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Expired records are cleaned up by MongoDB
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if logins are currently refused
+loginThrottleSchema.virtual('isLocked').get(function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
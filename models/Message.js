@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ recipient: 1, readAt: 1 });
+
+// Static method to count a user's unread messages
+messageSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ recipient: userId, readAt: null });
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // admin: manages members and dogs, member: manages dogs, viewer: read only
+  role: {
+    type: String,
+    enum: ['admin', 'member', 'viewer'],
+    default: 'member'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  members: [memberSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+organizationSchema.index({ 'members.user': 1 });
+
+// Method to find a user's membership
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => {
+    const memberId = member.user._id || member.user;
+    return memberId.toString() === userId.toString();
+  });
+};
+
+// Method to check a user can edit, remove and process adoptions for the organization's dogs
+organizationSchema.methods.canManageDogs = function(userId) {
+  const member = this.getMember(userId);
+  return !!member && ['admin', 'member'].includes(member.role);
+};
+
+// Method to check a user can manage the member list
+organizationSchema.methods.canManageMembers = function(userId) {
+  const member = this.getMember(userId);
+  return !!member && member.role === 'admin';
+};
+
+// Method to count the admins, an organization must always keep one
+organizationSchema.methods.countAdmins = function() {
+  return this.members.filter(member => member.role === 'admin').length;
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
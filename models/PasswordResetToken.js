@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only a SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set once the token has been used, or replaced by a newer request
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+passwordResetTokenSchema.index({ user: 1, usedAt: 1 });
+
+// Expired tokens are cleaned up by MongoDB
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to retire every unused token of a user
+passwordResetTokenSchema.statics.retireAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, usedAt: null },
+    { usedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only a SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Every token rotated from the same login shares a family
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout-all', 'reuse-detected', 'account-deleted', null],
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Expired tokens are cleaned up by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if token can still be used
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to revoke every active token of a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke every active token of a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
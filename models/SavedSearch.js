@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Saved search name is required'],
+    trim: true,
+    maxlength: [50, 'Saved search name cannot exceed 50 characters']
+  },
+  // Same vocabulary as the GET /api/dogs query parameters
+  criteria: {
+    status: {
+      type: String,
+      enum: ['available', 'adopted']
+    },
+    q: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Search query cannot exceed 100 characters']
+    },
+    breed: {
+      type: String,
+      trim: true
+    },
+    size: {
+      type: [{ type: String, enum: ['small', 'medium', 'large', 'extra-large'] }],
+      default: undefined
+    },
+    sex: {
+      type: [{ type: String, enum: ['male', 'female'] }],
+      default: undefined
+    },
+    energyLevel: {
+      type: [{ type: String, enum: ['low', 'medium', 'high'] }],
+      default: undefined
+    },
+    houseTrained: Boolean,
+    goodWithKids: Boolean,
+    goodWithCats: Boolean,
+    goodWithDogs: Boolean,
+    spayedNeutered: Boolean,
+    minAge: Number,
+    maxAge: Number,
+    location: {
+      lat: Number,
+      lng: Number,
+      radiusKm: Number
+    }
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  lastAlertedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 
 const userSchema = new mongoose.Schema({
@@ -10,15 +11,115 @@ const userSchema = new mongoose.Schema({
     minlength: [3, 'Username must be at least 3 characters long'],
     maxlength: [30, 'Username cannot exceed 30 characters']
   },
+  // Optional; needed to reset a forgotten password
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address'],
+    default: undefined
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
+  },
+  role: {
+    type: String,
+    enum: ['adopter', 'staff', 'admin'],
+    default: 'adopter'
+  },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Suspension reason cannot exceed 200 characters']
+  },
+  // Bumped to invalidate every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Set when the account was deleted and anonymized
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication; the secrets are never selected by default
+  twoFactor: {
+    // Secret waiting for its first code during setup
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+      default: undefined
+    },
+    // Time step of the last accepted code, so a code only works once
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true
 });
 
+// Index for efficient queries
+userSchema.index({ role: 1 });
+// Emails are unique among the accounts that have one
+userSchema.index({ email: 1 }, { unique: true, sparse: true });
+
+// Virtual for checking if the account is suspended
+userSchema.virtual('isSuspended').get(function() {
+  return !!this.suspendedAt;
+});
+
+// Virtual for checking if the account was deleted
+userSchema.virtual('isDeleted').get(function() {
+  return !!this.deletedAt;
+});
+
+// Virtual for checking if logins need a two-factor code
+userSchema.virtual('isTwoFactorEnabled').get(function() {
+  return !!(this.twoFactor && this.twoFactor.enabledAt);
+});
+
+// Method to check the user has one of the given roles
+userSchema.methods.hasRole = function(...roles) {
+  return roles.includes(this.role);
+};
+
+// Method to turn a deleted account into an anonymous tombstone. The new
+// username contains a dash, which registration never allows, so it cannot
+// clash with a real account.
+userSchema.methods.anonymize = function() {
+  const id = Buffer.from(this._id.toHexString(), 'hex').toString('base64url');
+  this.username = `deleted-${id}`;
+  this.email = undefined;
+  this.password = crypto.randomBytes(32).toString('hex');
+  this.role = 'adopter';
+  this.suspendedAt = null;
+  this.suspensionReason = undefined;
+  this.twoFactor = { enabledAt: null };
+  this.deletedAt = new Date();
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+};
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -41,6 +142,9 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.tokenVersion;
+  user.twoFactorEnabled = this.isTwoFactorEnabled;
+  delete user.twoFactor;
   return user;
 };
 
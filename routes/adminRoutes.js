@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  updateUserRole,
+  suspendUser,
+  unsuspendUser,
+  unlockUser,
+  forceRemoveDog,
+  purgeDogs
+} = require('../controllers/adminController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { documentRoutes } = require('../services/openapi');
+const { text, oneOf, boolean, object, pagination, USER_ROLES } = require('../services/openapiSchemas');
+const {
+  validateUserList,
+  validateRoleChange,
+  validateSuspension,
+  validateObjectId
+} = require('../middleware/validation');
+
+// All routes require an admin
+router.use(authenticateToken, authorize('admin'));
+
+// User moderation routes
+router.get('/users', validateUserList, getUsers);
+router.put('/users/:id/role', validateRoleChange, updateUserRole);
+router.put('/users/:id/suspend', validateSuspension, suspendUser);
+router.put('/users/:id/unsuspend', validateObjectId, unsuspendUser);
+router.put('/users/:id/unlock', validateObjectId, unlockUser);
+
+// Dog moderation routes
+router.post('/dogs/purge', purgeDogs);
+router.delete('/dogs/:id', validateObjectId, forceRemoveDog);
+
+// OpenAPI descriptions of the routes above
+documentRoutes(router, {
+  'GET /users': {
+    summary: 'List users',
+    access: 'Private (admin)',
+    query: { ...pagination, role: oneOf(USER_ROLES), suspended: boolean, q: text(0, 30) }
+  },
+  'PUT /users/:id/role': {
+    summary: 'Change a user\'s role',
+    access: 'Private (admin)',
+    body: object({ role: oneOf(USER_ROLES) }, ['role'])
+  },
+  'PUT /users/:id/suspend': {
+    summary: 'Suspend a user account',
+    access: 'Private (admin)',
+    body: object({ reason: text(0, 200) })
+  },
+  'PUT /users/:id/unsuspend': {
+    summary: 'Lift a user\'s suspension',
+    access: 'Private (admin)'
+  },
+  'PUT /users/:id/unlock': {
+    summary: 'Lift a login lockout caused by failed attempts',
+    access: 'Private (admin)'
+  },
+  'POST /dogs/purge': {
+    summary: 'Permanently delete dogs removed longer ago than the retention period',
+    access: 'Private (admin)'
+  },
+  'DELETE /dogs/:id': {
+    summary: 'Remove any dog listing',
+    access: 'Private (admin)'
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyApplications,
+  approveApplication,
+  rejectApplication,
+  withdrawApplication
+} = require('../controllers/applicationController');
+const { authenticateToken } = require('../middleware/auth');
+const { documentRoutes } = require('../services/openapi');
+const { text, oneOf, object, pagination, APPLICATION_STATUSES } = require('../services/openapiSchemas');
+const {
+  validateApplicationDecision,
+  validateApplicationList,
+  validateObjectId
+} = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Application workflow routes
+router.get('/', validateApplicationList, getMyApplications);
+router.put('/:id/approve', validateApplicationDecision, approveApplication);
+router.put('/:id/reject', validateApplicationDecision, rejectApplication);
+router.put('/:id/withdraw', validateObjectId, withdrawApplication);
+
+// OpenAPI descriptions of the routes above
+documentRoutes(router, {
+  'GET /': {
+    summary: 'Get applications submitted by current user',
+    access: 'Private',
+    query: { ...pagination, status: oneOf(APPLICATION_STATUSES) }
+  },
+  'PUT /:id/approve': {
+    summary: 'Approve an application and complete the adoption',
+    access: 'Private (dog owner or organization member)',
+    body: object({ note: text(0, 200) })
+  },
+  'PUT /:id/reject': {
+    summary: 'Reject an application',
+    access: 'Private (dog owner or organization member)',
+    body: object({ note: text(0, 200) })
+  },
+  'PUT /:id/withdraw': {
+    summary: 'Withdraw own application',
+    access: 'Private (applicant)'
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,149 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser, getProfile } = require('../controllers/authController');
+const {
+  registerUser,
+  loginUser,
+  verifyLoginCode,
+  getProfile,
+  refreshTokens,
+  logoutUser,
+  logoutAllSessions,
+  requestReset,
+  confirmReset,
+  changePassword,
+  updateEmail,
+  exportMyData,
+  deleteMyAccount,
+  setupTwoFactor,
+  activateTwoFactor,
+  deactivateTwoFactor
+} = require('../controllers/authController');
 const { authenticateToken } = require('../middleware/auth');
-const { validateUserRegistration, validateUserLogin } = require('../middleware/validation');
+const { documentRoutes } = require('../services/openapi');
+const { text, object } = require('../services/openapiSchemas');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateTwoFactorLogin,
+  validateRefreshToken,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validatePasswordChange,
+  validateEmailChange,
+  validateAccountDeletion,
+  validateTwoFactorCode,
+  validateTwoFactorDisable
+} = require('../middleware/validation');
 
 // Public routes
 router.post('/register', validateUserRegistration, registerUser);
 router.post('/login', validateUserLogin, loginUser);
+router.post('/login/2fa', validateTwoFactorLogin, verifyLoginCode);
+router.post('/refresh', validateRefreshToken, refreshTokens);
+router.post('/logout', validateRefreshToken, logoutUser);
+router.post('/password-reset', validatePasswordResetRequest, requestReset);
+router.post('/password-reset/confirm', validatePasswordReset, confirmReset);
 
 // Protected routes
 router.get('/profile', authenticateToken, getProfile);
+router.post('/logout-all', authenticateToken, logoutAllSessions);
+router.put('/password', authenticateToken, validatePasswordChange, changePassword);
+router.put('/email', authenticateToken, validateEmailChange, updateEmail);
+router.get('/export', authenticateToken, exportMyData);
+router.delete('/account', authenticateToken, validateAccountDeletion, deleteMyAccount);
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+router.post('/2fa/verify', authenticateToken, validateTwoFactorCode, activateTwoFactor);
+router.delete('/2fa', authenticateToken, validateTwoFactorDisable, deactivateTwoFactor);
+
+const password = text(6);
+const currentPassword = text(1);
+const email = { type: 'string', format: 'email' };
+
+// OpenAPI descriptions of the routes above
+documentRoutes(router, {
+  'POST /register': {
+    summary: 'Register a new user',
+    access: 'Public',
+    body: object({
+      username: { ...text(3, 30), pattern: '^[a-zA-Z0-9_]+$' },
+      password,
+      email
+    }, ['username', 'password'])
+  },
+  'POST /login': {
+    summary: 'Login user',
+    access: 'Public',
+    body: object({ username: text(1), password: currentPassword }, ['username', 'password'])
+  },
+  'POST /login/2fa': {
+    summary: 'Finish a login with a two-factor or recovery code',
+    access: 'Public',
+    body: object({
+      challengeToken: text(1),
+      code: { ...text(1, 20), description: 'A 6-digit code from the authenticator app, or a recovery code' }
+    }, ['challengeToken', 'code'])
+  },
+  'POST /refresh': {
+    summary: 'Exchange a refresh token for a new token pair',
+    access: 'Public',
+    body: object({ refreshToken: text(1) }, ['refreshToken'])
+  },
+  'POST /logout': {
+    summary: 'Log out of the current session',
+    access: 'Public',
+    body: object({ refreshToken: text(1) }, ['refreshToken'])
+  },
+  'POST /password-reset': {
+    summary: 'Email a password reset link',
+    access: 'Public',
+    body: object({ email }, ['email'])
+  },
+  'POST /password-reset/confirm': {
+    summary: 'Set a new password with a reset token',
+    access: 'Public',
+    body: object({ token: text(1), password }, ['token', 'password'])
+  },
+  'GET /profile': {
+    summary: 'Get current user profile',
+    access: 'Private'
+  },
+  'POST /logout-all': {
+    summary: 'Log out of every session',
+    access: 'Private'
+  },
+  'PUT /password': {
+    summary: 'Change password',
+    access: 'Private',
+    body: object({ currentPassword, newPassword: password }, ['currentPassword', 'newPassword'])
+  },
+  'PUT /email': {
+    summary: 'Set or change the email used for password resets',
+    access: 'Private',
+    body: object({ email, password: currentPassword }, ['email', 'password'])
+  },
+  'GET /export': {
+    summary: 'Download all of the current user\'s data',
+    access: 'Private'
+  },
+  'DELETE /account': {
+    summary: 'Delete the current user\'s account',
+    access: 'Private',
+    body: object({ password: currentPassword }, ['password'])
+  },
+  'POST /2fa/setup': {
+    summary: 'Start two-factor setup with a new secret',
+    access: 'Private'
+  },
+  'POST /2fa/verify': {
+    summary: 'Turn on two-factor authentication with a code from the new secret',
+    access: 'Private',
+    body: object({ code: { type: 'string', pattern: '^\\d{6}$' } }, ['code'])
+  },
+  'DELETE /2fa': {
+    summary: 'Turn off two-factor authentication',
+    access: 'Private',
+    body: object({ password: currentPassword }, ['password'])
+  }
+});
 
 module.exports = router;
\ No newline at end of file
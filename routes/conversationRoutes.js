@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const {
+  startConversation,
+  getConversations,
+  getMessages,
+  sendMessage,
+  markConversationRead
+} = require('../controllers/conversationController');
+const { authenticateToken } = require('../middleware/auth');
+const { documentRoutes } = require('../services/openapi');
+const { objectId, text, object, pagination } = require('../services/openapiSchemas');
+const {
+  validateConversation,
+  validateConversationList,
+  validateMessage,
+  validateMessageList,
+  validateObjectId
+} = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Conversation routes
+router.post('/', validateConversation, startConversation);
+router.get('/', validateConversationList, getConversations);
+router.get('/:id/messages', validateMessageList, getMessages);
+router.post('/:id/messages', validateMessage, sendMessage);
+router.put('/:id/read', validateObjectId, markConversationRead);
+
+// OpenAPI descriptions of the routes above
+documentRoutes(router, {
+  'POST /': {
+    summary: 'Start a conversation with a dog\'s owner, or continue the existing one',
+    access: 'Private',
+    body: object({ dogId: objectId, body: text(1, 1000) }, ['dogId', 'body'])
+  },
+  'GET /': {
+    summary: 'Get the current user\'s conversations',
+    access: 'Private',
+    query: pagination
+  },
+  'GET /:id/messages': {
+    summary: 'Get the messages in a conversation',
+    access: 'Private (participants)',
+    query: pagination
+  },
+  'POST /:id/messages': {
+    summary: 'Send a message in a conversation',
+    access: 'Private (participants)',
+    body: object({ body: text(1, 1000) }, ['body'])
+  },
+  'PUT /:id/read': {
+    summary: 'Mark every message sent to the current user in a conversation as read',
+    access: 'Private (participants)'
+  }
+});
+
+module.exports = router;
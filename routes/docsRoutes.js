@@ -0,0 +1,17 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const router = express.Router();
+const apiRoutes = require('./index');
+const { buildOpenApiDocument } = require('../services/openapi');
+
+// The routers are fully declared by the time this file is loaded, so the
+// document is built once and served as-is
+const document = buildOpenApiDocument(apiRoutes);
+
+// Public routes
+router.get('/openapi.json', (req, res) => {
+  res.status(200).json(document);
+});
+router.use('/docs', swaggerUi.serve, swaggerUi.setup(document));
+
+module.exports = router;
@@ -2,19 +2,70 @@ const express = require('express');
 const router = express.Router();
 const {
   registerDog,
+  updateDog,
   adoptDog,
+  returnDog,
   removeDog,
+  restoreDog,
   getRegisteredDogs,
+  exportRegisteredDogs,
   getAdoptedDogs,
+  exportAdoptedDogs,
   getAllDogs,
-  getDogById
+  getDogById,
+  getDogHistory
 } = require('../controllers/dogController');
-const { authenticateToken } = require('../middleware/auth');
+const { getDogApplications } = require('../controllers/applicationController');
+const {
+  uploadDogPhotos,
+  reorderDogPhotos,
+  setCoverPhoto,
+  deleteDogPhoto
+} = require('../controllers/photoController');
+const { importDogs, getImportReport } = require('../controllers/importController');
+const {
+  favoriteDog,
+  unfavoriteDog,
+  getFavorites
+} = require('../controllers/favoriteController');
+const { uploadPhotos, uploadCsv } = require('../middleware/upload');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { documentRoutes } = require('../services/openapi');
+const {
+  objectId,
+  text,
+  oneOf,
+  boolean,
+  object,
+  dogProfile,
+  pagination,
+  dogListing,
+  listingOrder,
+  dogFilters,
+  nearLocation,
+  adoptionScope,
+  exportFormat,
+  APPLICATION_STATUSES
+} = require('../services/openapiSchemas');
 const {
   validateDogRegistration,
+  validateDogImport,
+  validateImportReport,
+  validateExportFormat,
+  validateDogUpdate,
+  validateDogFilters,
+  validateLocationQuery,
   validateDogAdoption,
+  validateDogReturn,
+  validateDogRemoval,
+  validateAdoptionScope,
+  validateApplicationList,
+  validatePhotoId,
+  validatePhotoOrder,
   validateObjectId,
-  validatePagination
+  validatePagination,
+  validateListingOrder,
+  validateSearch
 } = require('../middleware/validation');
 
 // All routes require authentication
@@ -22,11 +73,153 @@ router.use(authenticateToken);
 
 // Dog management routes
 router.post('/', validateDogRegistration, registerDog);
-router.get('/', validatePagination, getAllDogs);
-router.get('/registered', validatePagination, getRegisteredDogs);
-router.get('/adopted', validatePagination, getAdoptedDogs);
+router.get('/', validatePagination, validateListingOrder, validateSearch, validateDogFilters, validateLocationQuery, getAllDogs);
+router.get('/registered', validatePagination, validateListingOrder, validateSearch, getRegisteredDogs);
+router.get('/adopted', validatePagination, validateListingOrder, validateSearch, validateAdoptionScope, getAdoptedDogs);
+router.get('/favorites', validatePagination, getFavorites);
 router.get('/:id', validateObjectId, getDogById);
+router.patch('/:id', validateDogUpdate, updateDog);
 router.put('/:id/adopt', validateDogAdoption, adoptDog);
-router.delete('/:id', validateObjectId, removeDog);
+router.post('/:id/return', validateDogReturn, returnDog);
+router.get('/:id/history', validateObjectId, validatePagination, getDogHistory);
+router.get('/:id/applications', validateObjectId, validateApplicationList, getDogApplications);
+router.delete('/:id', validateDogRemoval, removeDog);
+router.post('/:id/restore', validateObjectId, restoreDog);
+
+// Bulk import routes
+router.post('/import', authorize('staff', 'admin'), uploadCsv, validateDogImport, importDogs);
+router.get('/imports/:id/report', validateImportReport, getImportReport);
+
+// Adoption record export routes
+router.get('/registered/export', validatePagination, validateExportFormat, exportRegisteredDogs);
+router.get('/adopted/export', validatePagination, validateAdoptionScope, validateExportFormat, exportAdoptedDogs);
+
+// Favorite routes
+router.post('/:id/favorite', validateObjectId, favoriteDog);
+router.delete('/:id/favorite', validateObjectId, unfavoriteDog);
+
+// Photo gallery routes
+router.post('/:id/photos', validateObjectId, uploadPhotos, uploadDogPhotos);
+router.put('/:id/photos/order', validatePhotoOrder, reorderDogPhotos);
+router.put('/:id/photos/:photoId/cover', validatePhotoId, setCoverPhoto);
+router.delete('/:id/photos/:photoId', validatePhotoId, deleteDogPhoto);
+
+const { name, description, ...dogAttributes } = dogProfile;
+const ownerAccess = 'Private (dog owner or organization member)';
+
+// OpenAPI descriptions of the routes above
+documentRoutes(router, {
+  'POST /': {
+    summary: 'Register a new dog',
+    access: 'Private',
+    body: object({ ...dogProfile, organization: objectId }, ['name', 'description'])
+  },
+  'GET /': {
+    summary: 'Get all available dogs',
+    access: 'Private',
+    query: { ...dogListing, ...listingOrder, ...dogFilters, ...nearLocation }
+  },
+  'GET /registered': {
+    summary: 'Get dogs registered by current user, or by one of their organizations',
+    access: 'Private',
+    query: { ...dogListing, ...listingOrder }
+  },
+  'GET /adopted': {
+    summary: 'Get dogs adopted by current user',
+    access: 'Private',
+    query: { ...dogListing, ...listingOrder, ...adoptionScope }
+  },
+  'GET /favorites': {
+    summary: 'Get the current user\'s favorite dogs',
+    access: 'Private',
+    query: pagination
+  },
+  'GET /:id': {
+    summary: 'Get single dog by ID',
+    access: 'Private'
+  },
+  'PATCH /:id': {
+    summary: 'Update a dog\'s listing',
+    access: ownerAccess,
+    body: object({ name, description, ...dogAttributes })
+  },
+  'PUT /:id/adopt': {
+    summary: 'Apply to adopt a dog',
+    access: 'Private',
+    body: object({ message: text(0, 200) })
+  },
+  'POST /:id/return': {
+    summary: 'Record the return of an adopted dog and list it again',
+    access: 'Private (dog owner, organization member or current adopter)',
+    body: object({ reason: text(1, 500) }, ['reason'])
+  },
+  'GET /:id/history': {
+    summary: 'Get a dog\'s change history',
+    access: 'Private (dog owner, organization member or admin)',
+    query: pagination
+  },
+  'GET /:id/applications': {
+    summary: 'Get applications for a dog',
+    access: ownerAccess,
+    query: { ...pagination, status: oneOf(APPLICATION_STATUSES) }
+  },
+  'DELETE /:id': {
+    summary: 'Remove a dog',
+    access: 'Private',
+    body: object({ reason: text(1, 200) })
+  },
+  'POST /:id/restore': {
+    summary: 'Restore a removed dog within the grace period',
+    access: ownerAccess
+  },
+  'POST /import': {
+    summary: 'Import dogs in bulk from CSV or JSON, optionally as a dry run',
+    access: 'Private (staff or admin)',
+    query: { dryRun: boolean, organization: objectId },
+    body: object({
+      dogs: { type: 'array', minItems: 1, items: object(dogProfile, ['name', 'description']) }
+    }, ['dogs'])
+  },
+  'GET /imports/:id/report': {
+    summary: 'Download the report of an import as JSON or CSV',
+    access: 'Private (user who ran the import)',
+    query: exportFormat
+  },
+  'GET /registered/export': {
+    summary: 'Export adoption records of registered dogs as CSV or JSON',
+    access: 'Private',
+    query: { ...dogListing, ...exportFormat }
+  },
+  'GET /adopted/export': {
+    summary: 'Export the current user\'s adoption records as CSV or JSON',
+    access: 'Private',
+    query: { ...dogListing, ...adoptionScope, ...exportFormat }
+  },
+  'POST /:id/favorite': {
+    summary: 'Add a dog to the current user\'s favorites',
+    access: 'Private'
+  },
+  'DELETE /:id/favorite': {
+    summary: 'Remove a dog from the current user\'s favorites',
+    access: 'Private'
+  },
+  'POST /:id/photos': {
+    summary: 'Upload photos for a dog',
+    access: ownerAccess
+  },
+  'PUT /:id/photos/order': {
+    summary: 'Reorder a dog\'s photo gallery',
+    access: ownerAccess,
+    body: object({ photoIds: { type: 'array', minItems: 1, items: objectId } }, ['photoIds'])
+  },
+  'PUT /:id/photos/:photoId/cover': {
+    summary: 'Set a dog\'s cover photo',
+    access: ownerAccess
+  },
+  'DELETE /:id/photos/:photoId': {
+    summary: 'Delete a dog photo',
+    access: ownerAccess
+  }
+});
 
 module.exports = router;
\ No newline at end of file
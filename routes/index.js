@@ -0,0 +1,13 @@
+// Every API router with its mount path and docs tag. app.js mounts them and
+// the OpenAPI document is built from the same list.
+module.exports = [
+  { path: '/api/auth', tag: 'Auth', router: require('./authRoutes') },
+  { path: '/api/dogs', tag: 'Dogs', router: require('./dogRoutes') },
+  { path: '/api/applications', tag: 'Applications', router: require('./applicationRoutes') },
+  { path: '/api/organizations', tag: 'Organizations', router: require('./organizationRoutes') },
+  { path: '/api/saved-searches', tag: 'Saved searches', router: require('./savedSearchRoutes') },
+  { path: '/api/notifications', tag: 'Notifications', router: require('./notificationRoutes') },
+  { path: '/api/conversations', tag: 'Conversations', router: require('./conversationRoutes') },
+  { path: '/api/stats', tag: 'Stats', router: require('./statsRoutes') },
+  { path: '/api/admin', tag: 'Admin', router: require('./adminRoutes') }
+];
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/auth');
+const { documentRoutes } = require('../services/openapi');
+const { boolean, pagination } = require('../services/openapiSchemas');
+const { validateNotificationList, validateObjectId } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Notification inbox routes
+router.get('/', validateNotificationList, getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.put('/read-all', markAllNotificationsRead);
+router.put('/:id/read', validateObjectId, markNotificationRead);
+
+// OpenAPI descriptions of the routes above
+documentRoutes(router, {
+  'GET /': {
+    summary: 'Get the current user\'s notifications',
+    access: 'Private',
+    query: { ...pagination, unread: boolean }
+  },
+  'GET /unread-count': {
+    summary: 'Count the current user\'s unread notifications',
+    access: 'Private'
+  },
+  'PUT /read-all': {
+    summary: 'Mark all of the current user\'s notifications as read',
+    access: 'Private'
+  },
+  'PUT /:id/read': {
+    summary: 'Mark a notification as read',
+    access: 'Private'
+  }
+});
+
+module.exports = router;
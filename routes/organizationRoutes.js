@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createOrganization,
+  getMyOrganizations,
+  getOrganizationById,
+  updateOrganization,
+  addMember,
+  updateMemberRole,
+  removeMember
+} = require('../controllers/organizationController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { documentRoutes } = require('../services/openapi');
+const { text, oneOf, object, MEMBER_ROLES } = require('../services/openapiSchemas');
+const {
+  validateOrganization,
+  validateOrganizationUpdate,
+  validateMemberAddition,
+  validateMemberRole,
+  validateMemberId,
+  validateObjectId
+} = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Organization routes
+// Shelters are set up by staff
+router.post('/', authorize('staff', 'admin'), validateOrganization, createOrganization);
+router.get('/', getMyOrganizations);
+router.get('/:id', validateObjectId, getOrganizationById);
+router.put('/:id', validateOrganizationUpdate, updateOrganization);
+
+// Membership routes
+router.post('/:id/members', validateMemberAddition, addMember);
+router.put('/:id/members/:userId', validateMemberRole, updateMemberRole);
+router.delete('/:id/members/:userId', validateMemberId, removeMember);
+
+// OpenAPI descriptions of the routes above
+documentRoutes(router, {
+  'POST /': {
+    summary: 'Create an organization',
+    access: 'Private (staff or admin)',
+    body: object({ name: text(1, 100), description: text(0, 500) }, ['name'])
+  },
+  'GET /': {
+    summary: 'Get organizations the current user belongs to',
+    access: 'Private'
+  },
+  'GET /:id': {
+    summary: 'Get single organization by ID',
+    access: 'Private (members)'
+  },
+  'PUT /:id': {
+    summary: 'Update an organization',
+    access: 'Private (organization admins)',
+    body: object({ name: text(1, 100), description: text(0, 500) })
+  },
+  'POST /:id/members': {
+    summary: 'Add a member to an organization',
+    access: 'Private (organization admins)',
+    body: object({ username: text(1), role: oneOf(MEMBER_ROLES) }, ['username'])
+  },
+  'PUT /:id/members/:userId': {
+    summary: 'Change a member\'s role',
+    access: 'Private (organization admins)',
+    body: object({ role: oneOf(MEMBER_ROLES) }, ['role'])
+  },
+  'DELETE /:id/members/:userId': {
+    summary: 'Remove a member, or leave the organization',
+    access: 'Private (organization admins, or the member themselves)'
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createSavedSearch,
+  getSavedSearches,
+  getSavedSearchById,
+  updateSavedSearch,
+  deleteSavedSearch
+} = require('../controllers/savedSearchController');
+const { authenticateToken } = require('../middleware/auth');
+const { documentRoutes } = require('../services/openapi');
+const { text, boolean, object, savedSearchCriteria } = require('../services/openapiSchemas');
+const {
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateObjectId
+} = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Saved search routes
+router.post('/', validateSavedSearch, createSavedSearch);
+router.get('/', getSavedSearches);
+router.get('/:id', validateObjectId, getSavedSearchById);
+router.put('/:id', validateSavedSearchUpdate, updateSavedSearch);
+router.delete('/:id', validateObjectId, deleteSavedSearch);
+
+// OpenAPI descriptions of the routes above
+documentRoutes(router, {
+  'POST /': {
+    summary: 'Save a search',
+    access: 'Private',
+    body: object({ name: text(1, 50), criteria: savedSearchCriteria, alertsEnabled: boolean }, ['name'])
+  },
+  'GET /': {
+    summary: 'Get the current user\'s saved searches',
+    access: 'Private'
+  },
+  'GET /:id': {
+    summary: 'Get single saved search by ID',
+    access: 'Private'
+  },
+  'PUT /:id': {
+    summary: 'Update a saved search',
+    access: 'Private',
+    body: object({ name: text(1, 50), criteria: savedSearchCriteria, alertsEnabled: boolean })
+  },
+  'DELETE /:id': {
+    summary: 'Delete a saved search',
+    access: 'Private'
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { getStats, getOwnerStats } = require('../controllers/statsController');
+const { authenticateToken } = require('../middleware/auth');
+const { documentRoutes } = require('../services/openapi');
+const { statsRange } = require('../services/openapiSchemas');
+const { validateStats, validateOwnerStats } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Statistics routes
+router.get('/', validateStats, getStats);
+router.get('/owners/:id', validateOwnerStats, getOwnerStats);
+
+// OpenAPI descriptions of the routes above
+documentRoutes(router, {
+  'GET /': {
+    summary: 'Get platform-wide listing and adoption statistics',
+    access: 'Private',
+    query: statsRange
+  },
+  'GET /owners/:id': {
+    summary: 'Get listing and adoption statistics for one owner\'s dogs',
+    access: 'Private (the owner, staff or admin)',
+    query: statsRange
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// Permanently delete dog listings removed longer ago than DOG_RETENTION_DAYS.
+// Meant to run on a schedule, e.g. daily from cron:
+//   npm run purge-dogs
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { purgeRemovedDogs, getRetentionDays } = require('../services/dogListings');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const purged = await purgeRemovedDogs();
+  console.log(`Purged ${purged} dog(s) removed more than ${getRetentionDays()} days ago`);
+
+  await mongoose.connection.close();
+};
+
+run().catch(error => {
+  console.error('Failed to purge dogs:', error.message);
+  process.exit(1);
+});
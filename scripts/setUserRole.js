@@ -0,0 +1,31 @@
+// Assign a role to an existing user, e.g. to create the first admin:
+//   npm run set-role -- <username> <adopter|staff|admin>
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const [username, role] = process.argv.slice(2);
+
+const run = async () => {
+  if (!username || !User.schema.path('role').enumValues.includes(role)) {
+    console.error('Usage: npm run set-role -- <username> <adopter|staff|admin>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate({ username }, { role }, { new: true });
+  if (!user) {
+    console.error(`User ${username} not found`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.username} is now ${user.role}`);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(error => {
+  console.error('Failed to set role:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+const Dog = require('../models/Dog');
+const AdoptionApplication = require('../models/AdoptionApplication');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Favorite = require('../models/Favorite');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const Organization = require('../models/Organization');
+const RefreshToken = require('../models/RefreshToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const LoginChallenge = require('../models/LoginChallenge');
+const { removeListing } = require('./dogListings');
+const { publish } = require('./events');
+
+// Everything the platform holds about a user, as plain JSON
+const exportUserData = async (user) => {
+  const [dogs, currentAdoptions, returnedDogs, applications, favorites, savedSearches, conversations, messages] = await Promise.all([
+    Dog.find({ owner: user._id })
+      .populate('organization', 'name')
+      .populate('adopter', 'username')
+      .sort({ createdAt: 1 }),
+    Dog.find({ adopter: user._id })
+      .select('name breed owner adoptionMessage adoptedAt')
+      .populate('owner', 'username')
+      .sort({ adoptedAt: 1 }),
+    Dog.find({ 'pastAdoptions.adopter': user._id })
+      .select('name breed owner pastAdoptions')
+      .populate('owner', 'username'),
+    AdoptionApplication.find({ applicant: user._id })
+      .populate('dog', 'name')
+      .sort({ createdAt: 1 }),
+    Favorite.find({ user: user._id }).sort({ createdAt: 1 }),
+    SavedSearch.find({ user: user._id }).sort({ createdAt: 1 }),
+    Conversation.find({ $or: [{ adopter: user._id }, { owner: user._id }] })
+      .populate('dog', 'name')
+      .populate('adopter', 'username')
+      .populate('owner', 'username')
+      .sort({ createdAt: 1 }),
+    Message.find({ $or: [{ sender: user._id }, { recipient: user._id }] }).sort({ createdAt: 1 })
+  ]);
+
+  // Only this user's returned adoptions, not those of later adopters
+  const pastAdoptions = returnedDogs.flatMap(dog => dog.pastAdoptions
+    .filter(past => past.adopter.toString() === user._id.toString())
+    .map(past => ({
+      dog: { _id: dog._id, name: dog.name, breed: dog.breed, owner: dog.owner },
+      adoptedAt: past.adoptedAt,
+      returnedAt: past.returnedAt,
+      reason: past.reason
+    })));
+
+  return {
+    exportedAt: new Date(),
+    profile: user,
+    dogs,
+    adoptions: {
+      current: currentAdoptions,
+      past: pastAdoptions
+    },
+    applications,
+    favorites,
+    savedSearches,
+    conversations,
+    messages
+  };
+};
+
+const accountError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Delete an account. The user record stays as an anonymous tombstone so the
+// adoption history, dog ownership and other people's conversations keep
+// pointing somewhere; everything personal is removed or cleared.
+const deleteAccount = async (user) => {
+  // An organization must keep at least one admin
+  const organizations = await Organization.find({ 'members.user': user._id });
+  const lastAdminOf = organizations.find(organization => {
+    return organization.getMember(user._id).role === 'admin' && organization.countAdmins() === 1;
+  });
+  if (lastAdminOf) {
+    throw accountError(`Make another member an admin of ${lastAdminOf.name} before deleting your account`);
+  }
+
+  // Personal listings go; dogs registered for a shelter stay with the shelter
+  const listings = await Dog.find(Dog.listedFilter({ owner: user._id, organization: null, status: 'available' }));
+  for (const dog of listings) {
+    await removeListing(dog, { reason: 'The owner deleted their account', actor: user });
+  }
+
+  // Pending applications are withdrawn, and no application keeps its message
+  const pending = await AdoptionApplication.find({ applicant: user._id, status: 'pending' }).populate('dog');
+  for (const application of pending) {
+    application.status = 'withdrawn';
+    await application.save();
+    if (application.dog) {
+      await publish('application.withdrawn', { application, dog: application.dog });
+    }
+  }
+  await AdoptionApplication.updateMany({ applicant: user._id }, { $unset: { message: 1 } });
+  await Dog.updateMany({ adopter: user._id }, { $unset: { adoptionMessage: 1 } });
+
+  // Favorites no longer count towards the dogs' totals
+  const favorites = await Favorite.find({ user: user._id });
+  await Dog.updateMany(
+    { _id: { $in: favorites.map(favorite => favorite.dog) }, favoritesCount: { $gt: 0 } },
+    { $inc: { favoritesCount: -1 } }
+  );
+
+  await Promise.all([
+    Favorite.deleteMany({ user: user._id }),
+    SavedSearch.deleteMany({ user: user._id }),
+    Notification.deleteMany({ user: user._id }),
+    PasswordResetToken.deleteMany({ user: user._id }),
+    LoginChallenge.deleteMany({ user: user._id }),
+    RefreshToken.revokeAllForUser(user._id, 'account-deleted')
+  ]);
+
+  for (const organization of organizations) {
+    organization.members.pull(organization.getMember(user._id));
+    await organization.save();
+  }
+
+  user.anonymize();
+  await user.save();
+};
+
+module.exports = {
+  exportUserData,
+  deleteAccount
+};
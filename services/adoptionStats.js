@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Dog = require('../models/Dog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_OWNERS = 5;
+
+// Mongo filter for a date field within an optional { from, to } range
+const dateRange = (field, { from, to }) => {
+  if (!from && !to) return {};
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return { [field]: range };
+};
+
+// Middle value of an ascending list of numbers
+const median = (values) => {
+  if (values.length === 0) return null;
+  const middle = Math.floor(values.length / 2);
+  return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+};
+
+const round = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// Stages turning matching dogs into one document per adoption, past and
+// current, with the owner, adoptedAt and listedAt (when the dog was listed,
+// or put up again after the previous adoption ended)
+const adoptionStages = (base, { from, to }) => [
+  { $match: base },
+  {
+    $set: {
+      adoptions: {
+        $concatArrays: [
+          { $ifNull: ['$pastAdoptions', []] },
+          { $cond: [{ $eq: ['$status', 'adopted'] }, [{ adoptedAt: '$adoptedAt' }], []] }
+        ]
+      }
+    }
+  },
+  {
+    $project: {
+      owner: 1,
+      createdAt: 1,
+      adoption: {
+        $map: {
+          input: { $range: [0, { $size: '$adoptions' }] },
+          as: 'index',
+          in: {
+            $let: {
+              vars: {
+                current: { $arrayElemAt: ['$adoptions', '$$index'] },
+                previous: { $arrayElemAt: ['$adoptions', { $subtract: ['$$index', 1] }] }
+              },
+              in: {
+                adoptedAt: '$$current.adoptedAt',
+                listedAt: { $cond: [{ $eq: ['$$index', 0] }, '$createdAt', '$$previous.returnedAt'] }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  { $unwind: '$adoption' },
+  {
+    $project: {
+      owner: 1,
+      adoptedAt: '$adoption.adoptedAt',
+      listedAt: { $ifNull: ['$adoption.listedAt', '$createdAt'] }
+    }
+  },
+  { $match: { adoptedAt: { $ne: null, ...dateRange('adoptedAt', { from, to }).adoptedAt } } }
+];
+
+// Listing and adoption figures from the Dog collection. Dogs listed in the
+// range count towards totalListed, and towards adoptionRate once adopted,
+// even if since returned. Every adoption in the range, including ones that
+// ended in a return, counts towards the adoption totals, time to adoption,
+// periods and top owners, so past periods keep their figures. Removed
+// listings are left out. Pass an owner to limit it to their dogs.
+const getAdoptionStats = async ({ from = null, to = null, interval = 'month', owner = null } = {}) => {
+  const base = Dog.listedFilter(owner ? { owner: new mongoose.Types.ObjectId(owner.toString()) } : {});
+  const listedMatch = { ...base, ...dateRange('createdAt', { from, to }) };
+  const adoptions = adoptionStages(base, { from, to });
+
+  const period = { date: '$adoptedAt', unit: interval };
+  if (interval === 'week') {
+    period.startOfWeek = 'monday';
+  }
+
+  const facets = {
+    listed: [
+      { $match: listedMatch },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          adopted: {
+            $sum: {
+              $cond: [
+                { $or: [{ $eq: ['$status', 'adopted'] }, { $gt: [{ $size: { $ifNull: ['$pastAdoptions', []] } }, 0] }] },
+                1,
+                0
+              ]
+            }
+          }
+        }
+      }
+    ],
+    adopted: [
+      ...adoptions,
+      { $project: { days: { $divide: [{ $subtract: ['$adoptedAt', '$listedAt'] }, DAY_MS] } } },
+      { $sort: { days: 1 } },
+      { $group: { _id: null, total: { $sum: 1 }, days: { $push: '$days' } } }
+    ],
+    periods: [
+      ...adoptions,
+      { $group: { _id: { $dateTrunc: period }, adoptions: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]
+  };
+
+  if (!owner) {
+    facets.topOwners = [
+      ...adoptions,
+      { $group: { _id: '$owner', adoptions: { $sum: 1 } } },
+      { $sort: { adoptions: -1, _id: 1 } },
+      { $limit: TOP_OWNERS },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $project: { _id: 0, owner: '$_id', username: { $first: '$user.username' }, adoptions: 1 } }
+    ];
+  }
+
+  const [result] = await Dog.aggregate([{ $facet: facets }]);
+  const listed = result.listed[0] || { total: 0, adopted: 0 };
+  const adopted = result.adopted[0] || { total: 0, days: [] };
+  const medianDays = median(adopted.days);
+
+  const stats = {
+    range: { from, to },
+    totalListed: listed.total,
+    totalAdopted: adopted.total,
+    adoptionRate: listed.total ? round(listed.adopted / listed.total, 4) : null,
+    medianDaysToAdoption: medianDays === null ? null : round(medianDays, 1),
+    adoptionsOverTime: {
+      interval,
+      periods: result.periods.map(({ _id, adoptions }) => ({ start: _id, adoptions }))
+    }
+  };
+
+  if (!owner) {
+    stats.topOwners = result.topOwners;
+  }
+
+  return stats;
+};
+
+module.exports = {
+  getAdoptionStats,
+  median
+};
@@ -0,0 +1,154 @@
+const Dog = require('../models/Dog');
+const { toCsvLine } = require('../utils/csv');
+
+const EXPORT_COLUMNS = [
+  'dogId',
+  'name',
+  'breed',
+  'status',
+  'owner',
+  'organization',
+  'registeredAt',
+  'adopter',
+  'adoptionMessage',
+  'adoptedAt',
+  'returnedAt',
+  'returnReason'
+];
+
+const username = (user) => (user && user.username) || null;
+
+// One record per adoption of a dog: its returned adoptions, oldest first,
+// then the current one. Dogs never adopted get a single record without an
+// adopter. With onlyAdopter, just that user's adoptions are kept.
+const adoptionRecords = (dog, { onlyAdopter = null } = {}) => {
+  const base = {
+    dogId: dog._id.toString(),
+    name: dog.name,
+    breed: dog.breed || null,
+    status: dog.status,
+    owner: username(dog.owner),
+    organization: (dog.organization && dog.organization.name) || null,
+    registeredAt: dog.createdAt
+  };
+  const empty = { adopter: null, adoptionMessage: null, adoptedAt: null, returnedAt: null, returnReason: null };
+
+  const adoptions = dog.pastAdoptions.map(past => ({
+    adopterId: past.adopter && (past.adopter._id || past.adopter),
+    adopter: username(past.adopter),
+    adoptionMessage: null,
+    adoptedAt: past.adoptedAt || null,
+    returnedAt: past.returnedAt,
+    returnReason: past.reason || null
+  }));
+  if (dog.adopter) {
+    adoptions.push({
+      adopterId: dog.adopter._id || dog.adopter,
+      adopter: username(dog.adopter),
+      adoptionMessage: dog.adoptionMessage || null,
+      adoptedAt: dog.adoptedAt,
+      returnedAt: null,
+      returnReason: null
+    });
+  }
+
+  const kept = onlyAdopter
+    ? adoptions.filter(adoption => adoption.adopterId && adoption.adopterId.toString() === onlyAdopter.toString())
+    : adoptions;
+
+  if (kept.length === 0) {
+    return onlyAdopter ? [] : [{ ...base, ...empty }];
+  }
+  return kept.map(({ adopterId, ...adoption }) => ({ ...base, ...adoption }));
+};
+
+// Raised when the client goes away in the middle of a download
+const clientGoneError = () => {
+  const error = new Error('Client closed the connection');
+  error.clientGone = true;
+  return error;
+};
+
+// Write a chunk, waiting for the client to catch up when the buffer is full.
+// Rejects if the client disconnects instead, so a stalled download never hangs.
+const write = (res, chunk) => {
+  if (res.destroyed) {
+    return Promise.reject(clientGoneError());
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      if (error) reject(error); else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(clientGoneError());
+
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onClose);
+  });
+};
+
+// Stream the adoption records of every dog matching a filter as CSV, or as
+// JSON in the usual { success, data } envelope, without loading them all
+const streamDogExport = async (res, filter, { format = 'csv', filename, onlyAdopter = null } = {}) => {
+  const dogs = Dog.find(Dog.listedFilter(filter))
+    .populate('owner', 'username')
+    .populate('organization', 'name')
+    .populate('adopter', 'username')
+    .populate('pastAdoptions.adopter', 'username')
+    .sort({ createdAt: -1, _id: -1 })
+    .cursor();
+
+  res.status(200)
+    .attachment(`${filename}.${format}`)
+    .type(format === 'csv' ? 'text/csv' : 'application/json');
+
+  let count = 0;
+  try {
+    if (format === 'csv') {
+      await write(res, toCsvLine(EXPORT_COLUMNS));
+    } else {
+      await write(res, '{"success":true,"data":{"records":[');
+    }
+
+    for await (const dog of dogs) {
+      for (const record of adoptionRecords(dog, { onlyAdopter })) {
+        if (format === 'csv') {
+          await write(res, toCsvLine(EXPORT_COLUMNS.map(column => record[column])));
+        } else {
+          await write(res, (count > 0 ? ',' : '') + JSON.stringify(record));
+        }
+        count += 1;
+      }
+    }
+
+    if (format === 'json') {
+      await write(res, `],"totalRecords":${count}}}`);
+    }
+    res.end();
+  } catch (error) {
+    // A client that went away needs no answer. Otherwise the status line is
+    // already sent, so cut the download short rather than let a truncated
+    // file look complete.
+    if (!error.clientGone) {
+      console.error('Dog export failed:', error.message);
+      res.destroy(error);
+    }
+  } finally {
+    // Stopping early would otherwise leave the database cursor open
+    await dogs.close().catch(() => {});
+  }
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  adoptionRecords,
+  streamDogExport
+};
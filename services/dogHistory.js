@@ -0,0 +1,80 @@
+const DogEvent = require('../models/DogEvent');
+
+// Fields whose values are worth keeping in a dog's history
+const TRACKED_FIELDS = [
+  'name',
+  'description',
+  'breed',
+  'birthDate',
+  'size',
+  'sex',
+  'energyLevel',
+  'houseTrained',
+  'goodWithKids',
+  'goodWithCats',
+  'goodWithDogs',
+  'spayedNeutered',
+  'location',
+  'organization',
+  'status',
+  'adopter',
+  'adoptedAt',
+  'removedAt',
+  'removedReason'
+];
+
+// Plain JSON copy of a dog's tracked fields, with references reduced to IDs
+const snapshot = (dog) => {
+  const source = typeof dog.toObject === 'function' ? dog.toObject({ depopulate: true }) : dog;
+  const values = {};
+
+  TRACKED_FIELDS.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      values[field] = JSON.parse(JSON.stringify(source[field]));
+    }
+  });
+
+  return values;
+};
+
+// Keep only the fields that differ between two snapshots
+const diff = (before, after) => {
+  const changes = { before: {}, after: {} };
+
+  TRACKED_FIELDS.forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.before[field] = before[field] === undefined ? null : before[field];
+      changes.after[field] = after[field] === undefined ? null : after[field];
+    }
+  });
+
+  return changes;
+};
+
+// Append an event to a dog's history
+const recordDogEvent = (dog, type, actor, { before = null, after = null, note } = {}) => {
+  return DogEvent.create({
+    dog: dog._id,
+    type,
+    actor: (actor && actor._id) || actor || null,
+    before,
+    after,
+    note
+  });
+};
+
+// Append an event holding the fields that changed since `previous` was taken.
+// Edits that change nothing leave no trace.
+const recordDogChange = async (dog, type, actor, previous, note) => {
+  const { before, after } = diff(previous, snapshot(dog));
+  if (type === 'edited' && Object.keys(after).length === 0) {
+    return null;
+  }
+  return recordDogEvent(dog, type, actor, { before, after, note });
+};
+
+module.exports = {
+  snapshot,
+  recordDogEvent,
+  recordDogChange
+};
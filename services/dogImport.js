@@ -0,0 +1,155 @@
+const { validationResult } = require('express-validator');
+const Dog = require('../models/Dog');
+const DogImport = require('../models/DogImport');
+const { dogRegistrationRules } = require('../middleware/validation');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { pickAttributes } = require('./dogListings');
+const { snapshot, recordDogEvent } = require('./dogHistory');
+const { tryAlertMatchingSearches } = require('./savedSearchAlerts');
+
+const MAX_IMPORT_ROWS = 500;
+
+const REPORT_COLUMNS = ['row', 'name', 'status', 'dog', 'issues'];
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Read the uploaded dogs: a text/csv body or a JSON body with a "dogs" array
+const parseImport = (payload) => {
+  let format;
+  let rows;
+
+  if (typeof payload === 'string') {
+    format = 'csv';
+    try {
+      rows = parseCsv(payload);
+    } catch (error) {
+      throw importError(error.message);
+    }
+  } else if (payload && Array.isArray(payload.dogs)) {
+    format = 'json';
+    rows = payload.dogs;
+  } else {
+    throw importError('Send dogs as a JSON "dogs" array or as a text/csv file');
+  }
+
+  if (rows.length === 0) {
+    throw importError('The import contains no dogs');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw importError(`Imports are limited to ${MAX_IMPORT_ROWS} dogs`);
+  }
+
+  return { format, rows };
+};
+
+// Check one row against the registration rules. The rules sanitize the row
+// the same way they sanitize a POST /api/dogs body.
+const validateRow = async (row) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { values: {}, issues: [{ field: null, message: 'Each dog must be an object' }] };
+  }
+
+  const req = { body: { ...row } };
+  for (const rule of dogRegistrationRules) {
+    await rule.run(req);
+  }
+
+  const issues = validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+
+  return { values: req.body, issues };
+};
+
+// Validate every row and, unless this is a dry run, list all valid dogs in a
+// single insert. Invalid rows are skipped and explained in the import report.
+const importDogs = async ({ payload, user, organization = null, dryRun = false }) => {
+  const { format, rows } = parseImport(payload);
+  const results = [];
+  const dogs = [];
+
+  for (const [index, row] of rows.entries()) {
+    const { values, issues } = await validateRow(row);
+    const result = {
+      row: index + 1,
+      name: typeof values.name === 'string' ? values.name : null,
+      status: 'invalid',
+      issues
+    };
+    results.push(result);
+    if (issues.length > 0) continue;
+
+    const dog = new Dog({
+      name: values.name,
+      description: values.description,
+      ...pickAttributes(values),
+      organization,
+      owner: user._id
+    });
+
+    // Catch anything the model rejects before the insert is attempted
+    const invalid = dog.validateSync();
+    if (invalid) {
+      result.issues = Object.values(invalid.errors).map(error => ({
+        field: error.path,
+        message: error.message
+      }));
+      continue;
+    }
+
+    result.status = 'valid';
+    dogs.push({ dog, result });
+  }
+
+  if (!dryRun && dogs.length > 0) {
+    const inserted = await Dog.insertMany(dogs.map(({ dog }) => dog));
+
+    for (const [index, dog] of inserted.entries()) {
+      Object.assign(dogs[index].result, { status: 'imported', dog: dog._id });
+      await recordDogEvent(dog, 'created', user, { after: snapshot(dog), note: 'Bulk import' });
+      await tryAlertMatchingSearches(dog);
+    }
+  }
+
+  return DogImport.create({
+    importedBy: user._id,
+    organization,
+    format,
+    dryRun,
+    totalRows: results.length,
+    validRows: dogs.length,
+    invalidRows: results.length - dogs.length,
+    importedRows: dryRun ? 0 : dogs.length,
+    rows: results
+  });
+};
+
+// Downloadable report of an import, one line per row
+const buildImportReport = (dogImport, format = 'json') => {
+  const filename = `dog-import-${dogImport._id}.${format}`;
+
+  if (format === 'csv') {
+    const records = dogImport.rows.map(row => ({
+      row: row.row,
+      name: row.name,
+      status: row.status,
+      dog: row.dog,
+      issues: row.issues.map(issue => (issue.field ? `${issue.field}: ${issue.message}` : issue.message)).join('; ')
+    }));
+    return { filename, contentType: 'text/csv', body: toCsv(records, REPORT_COLUMNS) };
+  }
+
+  return { filename, contentType: 'application/json', body: JSON.stringify(dogImport, null, 2) };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseImport,
+  importDogs,
+  buildImportReport
+};
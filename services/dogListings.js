@@ -0,0 +1,113 @@
+const Dog = require('../models/Dog');
+const AdoptionApplication = require('../models/AdoptionApplication');
+const { getStorage } = require('./storage');
+const { publish } = require('./events');
+const { snapshot, recordDogEvent, recordDogChange } = require('./dogHistory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Optional profile attributes accepted when registering a dog
+const DOG_ATTRIBUTES = [
+  'breed',
+  'birthDate',
+  'size',
+  'sex',
+  'energyLevel',
+  'houseTrained',
+  'goodWithKids',
+  'goodWithCats',
+  'goodWithDogs',
+  'spayedNeutered'
+];
+
+// Pick the attributes present in a request body or import row
+const pickAttributes = (source) => {
+  const attributes = {};
+  DOG_ATTRIBUTES.forEach(field => {
+    if (source[field] !== undefined) {
+      attributes[field] = source[field];
+    }
+  });
+
+  // An approximate age is accepted when the exact birth date is unknown
+  if (attributes.birthDate === undefined && source.age !== undefined) {
+    attributes.birthDate = Dog.birthDateFromAge(source.age);
+  }
+
+  if (source.location) {
+    const { lat, lng, city, postcode } = source.location;
+    attributes.location = { city, postcode };
+    if (lat !== undefined) {
+      attributes.location.point = { type: 'Point', coordinates: [lng, lat] };
+    }
+  }
+
+  return attributes;
+};
+
+// How long owners can restore a removed listing
+const getRestoreGraceDays = () => parseInt(process.env.DOG_RESTORE_GRACE_DAYS) || 30;
+
+// How long removed listings are kept before they are purged for good
+const getRetentionDays = () => parseInt(process.env.DOG_RETENTION_DAYS) || 90;
+
+// Whether a removed dog can still be restored
+const canRestore = (dog, now = new Date()) => {
+  return Boolean(dog.removedAt) && now - dog.removedAt <= getRestoreGraceDays() * DAY_MS;
+};
+
+// Hide a dog listing; the record stays for favorites, messages and history
+const removeListing = async (dog, { reason = 'Dog was removed', actor = null, moderated = false } = {}) => {
+  const previous = snapshot(dog);
+  dog.markRemoved(reason, (actor && actor._id) || actor, moderated);
+  await dog.save();
+  await recordDogChange(dog, 'removed', actor, previous, reason);
+
+  // Close any applications still waiting on this dog
+  const applications = await AdoptionApplication.find({ dog: dog._id, status: 'pending' });
+  await AdoptionApplication.updateMany(
+    { _id: { $in: applications.map(application => application._id) } },
+    { status: 'rejected', reviewedAt: new Date(), decisionNote: reason }
+  );
+
+  await publish('dog.removed', { dog, reason, applications });
+};
+
+// List a removed dog again. Applications closed by the removal stay closed.
+const restoreListing = async (dog, { actor = null } = {}) => {
+  const previous = snapshot(dog);
+  dog.restore();
+  await dog.save();
+  await recordDogChange(dog, 'restored', actor, previous);
+};
+
+// Permanently delete listings removed longer ago than the retention period,
+// along with their photo files. The dog's history is kept.
+const purgeRemovedDogs = async ({ now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - getRetentionDays() * DAY_MS);
+  const dogs = Dog.find({ removedAt: { $ne: null, $lte: cutoff } }).cursor();
+  const storage = getStorage();
+
+  let purged = 0;
+  for await (const dog of dogs) {
+    await Dog.deleteOne({ _id: dog._id });
+    await Promise.all(dog.photos.flatMap(photo => [
+      storage.remove(photo.key),
+      storage.remove(photo.thumbnailKey)
+    ]));
+    await recordDogEvent(dog, 'purged', null, { before: snapshot(dog) });
+    purged += 1;
+  }
+
+  return purged;
+};
+
+module.exports = {
+  pickAttributes,
+  getRestoreGraceDays,
+  getRetentionDays,
+  canRestore,
+  removeListing,
+  restoreListing,
+  purgeRemovedDogs
+};
@@ -0,0 +1,31 @@
+// A small in-process event bus. Controllers publish what happened and
+// listeners (such as the notification center) react to it, so the
+// controllers never need to know who is listening.
+const listeners = new Map();
+
+// Register a handler for an event; returns a function that removes it
+const subscribe = (event, handler) => {
+  if (!listeners.has(event)) {
+    listeners.set(event, []);
+  }
+  listeners.get(event).push(handler);
+
+  return () => {
+    listeners.set(event, listeners.get(event).filter(existing => existing !== handler));
+  };
+};
+
+// Run every handler for an event in turn. Handlers are awaited so their
+// effects are in place when the request finishes, but a failing handler is
+// only logged: side effects never fail the action that triggered them.
+const publish = async (event, payload) => {
+  for (const handler of listeners.get(event) || []) {
+    try {
+      await handler(payload);
+    } catch (error) {
+      console.error(`Listener for ${event} failed:`, error.message);
+    }
+  }
+};
+
+module.exports = { subscribe, publish };
@@ -0,0 +1,31 @@
+const sharp = require('sharp');
+
+const THUMBNAIL_SIZE = 320;
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Inspect an uploaded file; the declared mimetype is not trusted,
+// sharp reads the real format from the file contents
+const inspectImage = async (buffer) => {
+  try {
+    const { format, width, height } = await sharp(buffer).metadata();
+    if (!ALLOWED_FORMATS.includes(format)) return null;
+    return { format, width, height };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Square thumbnail cropped from the centre of the photo
+const createThumbnail = (buffer) => {
+  return sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+};
+
+module.exports = {
+  ALLOWED_FORMATS,
+  inspectImage,
+  createThumbnail
+};
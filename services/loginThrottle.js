@@ -0,0 +1,102 @@
+const LoginThrottle = require('../models/LoginThrottle');
+
+const MINUTE_MS = 60 * 1000;
+
+// Failed logins allowed per username, and per address across all usernames,
+// within the failure window before logins are locked out
+const getMaxUserFailures = () => parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const getMaxIpFailures = () => parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const getFailureWindowMinutes = () => parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const getLockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Each failure answers a little slower: 250ms, 500ms, 1s... up to 8s
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 8000;
+
+// Waiting is pluggable so tests can skip (or record) the delays
+let delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getDelay = () => delay;
+
+const setDelay = (newDelay) => {
+  delay = newDelay;
+};
+
+const userKey = (username) => `user:${username}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const delayFor = (failures) => Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS);
+
+// The active lockout for a username or address, if any, as
+// { lockedUntil, retryAfter } with retryAfter in whole seconds
+const getLockout = async (username, ip) => {
+  const now = new Date();
+  const locks = await LoginThrottle.find({
+    key: { $in: [userKey(username), ipKey(ip)] },
+    lockedUntil: { $gt: now }
+  });
+  if (locks.length === 0) return null;
+
+  const lockedUntil = new Date(Math.max(...locks.map(lock => lock.lockedUntil.getTime())));
+  return { lockedUntil, retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+};
+
+// Count one failure for a key, locking it once it reaches the limit
+const countFailure = async (key, maxFailures) => {
+  const now = new Date();
+
+  // Failures from an earlier window no longer count
+  await LoginThrottle.deleteOne({ key, expiresAt: { $lte: now } });
+
+  const record = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $max: { expiresAt: new Date(now.getTime() + getFailureWindowMinutes() * MINUTE_MS) }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (record.failures >= maxFailures && !record.isLocked) {
+    // The counter starts over once the lockout ends
+    record.lockedUntil = new Date(now.getTime() + getLockoutMinutes() * MINUTE_MS);
+    record.expiresAt = record.lockedUntil;
+    await record.save();
+  }
+
+  return record;
+};
+
+// Record a failed login, wait out the progressive delay and return the
+// lockout it caused, if any
+const recordFailedLogin = async (username, ip) => {
+  const records = await Promise.all([
+    countFailure(userKey(username), getMaxUserFailures()),
+    countFailure(ipKey(ip), getMaxIpFailures())
+  ]);
+
+  await delay(delayFor(Math.max(...records.map(record => record.failures))));
+
+  return getLockout(username, ip);
+};
+
+// A successful login clears the username's failures. The address keeps its
+// count, so one valid account cannot be used to keep guessing at others.
+const recordSuccessfulLogin = async (username) => {
+  await LoginThrottle.deleteOne({ key: userKey(username) });
+};
+
+// Lift a username's lockout and forget its failures
+const unlockLogin = async (username) => {
+  const result = await LoginThrottle.deleteOne({ key: userKey(username) });
+  return result.deletedCount > 0;
+};
+
+module.exports = {
+  getDelay,
+  setDelay,
+  getLockout,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockLogin
+};
@@ -0,0 +1,43 @@
+const path = require('path');
+const createOutboxTransport = require('./outboxTransport');
+
+// Mail is pluggable: any object with send({ to, subject, text }) can be used,
+// e.g. an SMTP or API-based sender. Set one with setMailTransport, or name a
+// module exporting it in MAIL_TRANSPORT (resolved from the working directory).
+let transport = null;
+
+// The transport used until one is set. The local outbox writes reset links
+// to disk, so it is only a fallback outside production.
+const createDefaultTransport = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return require(path.resolve(process.env.MAIL_TRANSPORT));
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No mail transport configured: set MAIL_TRANSPORT or call setMailTransport');
+  }
+
+  return createOutboxTransport({
+    dir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox')
+  });
+};
+
+const getMailTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = (message) => getMailTransport().send(message);
+
+module.exports = {
+  sendMail,
+  getMailTransport,
+  setMailTransport,
+  createOutboxTransport
+};
@@ -0,0 +1,40 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Write each message to a JSON file in a local outbox directory instead of
+// sending it, so links can be picked up while developing and in tests
+const createOutboxTransport = ({ dir }) => ({
+  dir,
+
+  async send(message) {
+    const sentAt = new Date();
+    const file = path.join(dir, `${sentAt.getTime()}-${crypto.randomBytes(4).toString('hex')}.json`);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt }, null, 2));
+    return file;
+  },
+
+  // Messages in the outbox, oldest first
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const messages = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(async file => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))));
+    return messages;
+  },
+
+  async clear() {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+module.exports = createOutboxTransport;
@@ -0,0 +1,41 @@
+const Notification = require('../../models/Notification');
+const createLogSink = require('./logSink');
+const createMemorySink = require('./memorySink');
+
+// Delivery is pluggable: any object with deliver(notification) can replace
+// the default sink via setDeliverySink (e.g. email, push, or memory in tests)
+let sink = createLogSink();
+
+const getDeliverySink = () => sink;
+
+const setDeliverySink = (newSink) => {
+  sink = newSink;
+};
+
+// Record a notification in the user's inbox, then hand it to the sink.
+// A failing sink never loses the notification, it is already stored.
+const notify = async (userId, { type, title, message, data = {} }) => {
+  const notification = await Notification.create({
+    user: userId,
+    type,
+    title,
+    message,
+    data
+  });
+
+  try {
+    await sink.deliver(notification);
+  } catch (error) {
+    console.error('Notification delivery failed:', error.message);
+  }
+
+  return notification;
+};
+
+module.exports = {
+  notify,
+  getDeliverySink,
+  setDeliverySink,
+  createLogSink,
+  createMemorySink
+};
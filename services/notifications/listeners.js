@@ -0,0 +1,106 @@
+const Favorite = require('../../models/Favorite');
+const { subscribe } = require('../events');
+const { notify } = require('./index');
+
+const idOf = (ref) => (ref && ref._id) || ref;
+
+const sameUser = (a, b) => Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+const DECISION_TITLES = {
+  approved: 'Your application was approved',
+  rejected: 'Your application was not successful'
+};
+
+let registered = false;
+
+// Turn platform events into inbox notifications. Safe to call more than once.
+const registerNotificationListeners = () => {
+  if (registered) return;
+  registered = true;
+
+  subscribe('application.submitted', async ({ application, dog }) => {
+    await notify(idOf(dog.owner), {
+      type: 'application_submitted',
+      title: `New application for ${dog.name}`,
+      message: application.message || `Someone would like to adopt ${dog.name}.`,
+      data: { dog: dog._id, application: application._id }
+    });
+  });
+
+  subscribe('application.decided', async ({ application, dog }) => {
+    await notify(idOf(application.applicant), {
+      type: `application_${application.status}`,
+      title: DECISION_TITLES[application.status],
+      message: application.decisionNote || `Your application to adopt ${dog.name} was ${application.status}.`,
+      data: { dog: dog._id, application: application._id }
+    });
+  });
+
+  subscribe('application.withdrawn', async ({ application, dog }) => {
+    await notify(idOf(dog.owner), {
+      type: 'application_withdrawn',
+      title: `An application for ${dog.name} was withdrawn`,
+      data: { dog: dog._id, application: application._id }
+    });
+  });
+
+  subscribe('dog.adopted', async ({ dog, actor }) => {
+    // Owners who approved the adoption themselves already know
+    if (sameUser(dog.owner, actor)) return;
+
+    await notify(idOf(dog.owner), {
+      type: 'dog_adopted',
+      title: `${dog.name} has been adopted`,
+      data: { dog: dog._id, adopter: idOf(dog.adopter) }
+    });
+  });
+
+  subscribe('dog.returned', async ({ dog, adopter, actor, reason }) => {
+    // Whoever did not record the return hears about it
+    const recipient = sameUser(adopter, actor) ? dog.owner : adopter;
+
+    await notify(idOf(recipient), {
+      type: 'dog_returned',
+      title: `${dog.name} has been returned`,
+      message: reason,
+      data: { dog: dog._id }
+    });
+  });
+
+  subscribe('dog.removed', async ({ dog, applications = [] }) => {
+    // Applicants hear about their application; everyone else watching gets a favorite notice
+    const applicants = new Set(applications.map(application => idOf(application.applicant).toString()));
+
+    for (const application of applications) {
+      await notify(idOf(application.applicant), {
+        type: 'application_rejected',
+        title: DECISION_TITLES.rejected,
+        message: `${dog.name} is no longer listed.`,
+        data: { dog: dog._id, application: application._id }
+      });
+    }
+
+    const favorites = await Favorite.find({ dog: dog._id });
+    for (const favorite of favorites) {
+      if (applicants.has(favorite.user.toString())) continue;
+
+      await notify(favorite.user, {
+        type: 'favorite_removed',
+        title: `${dog.name} is no longer listed`,
+        message: `${dog.name}, one of your favorites, has been removed.`,
+        data: { dog: dog._id }
+      });
+    }
+  });
+
+  subscribe('message.sent', async ({ message, conversation, sender }) => {
+    await notify(message.recipient, {
+      type: 'new_message',
+      title: `New message from ${sender.username}`,
+      message: message.body.slice(0, 100),
+      data: { conversation: conversation._id, message: message._id }
+    });
+  });
+};
+
+module.exports = { registerNotificationListeners };
@@ -0,0 +1,11 @@
+// Default delivery: notifications live in the in-app inbox,
+// and are echoed to the console while developing
+const createLogSink = () => ({
+  async deliver(notification) {
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`Notification for ${notification.user}: ${notification.title}`);
+    }
+  }
+});
+
+module.exports = createLogSink;
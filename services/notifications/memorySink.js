@@ -0,0 +1,14 @@
+// Collects delivered notifications in memory, for tests
+const createMemorySink = () => ({
+  deliveries: [],
+
+  async deliver(notification) {
+    this.deliveries.push(notification);
+  },
+
+  clear() {
+    this.deliveries.length = 0;
+  }
+});
+
+module.exports = createMemorySink;
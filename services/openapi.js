@@ -0,0 +1,206 @@
+const { authenticateToken } = require('../middleware/auth');
+const { uploadPhotos, uploadCsv } = require('../middleware/upload');
+const { version, description } = require('../package.json');
+const { objectId } = require('./openapiSchemas');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Route descriptions by router, as declared next to the routes
+const routeDocs = new WeakMap();
+
+// Describe a router's routes for the OpenAPI document. Docs are keyed by
+// "METHOD /path" as the route is declared on the router, e.g.
+//
+//   'GET /:id': { summary, access, query: { page: {...} }, body: {...} }
+//
+// Path parameters default to MongoDB IDs; override them in "params".
+const documentRoutes = (router, docs) => {
+  routeDocs.set(router, docs);
+};
+
+// Express "/:id/photos/:photoId" becomes OpenAPI "/{id}/photos/{photoId}"
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, '{$1}');
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+// Path and query parameters of an operation
+const describeParameters = (route, docs) => {
+  const pathParams = (route.path.match(/:(\w+)/g) || []).map(param => param.slice(1));
+
+  return [
+    ...pathParams.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: (docs.params && docs.params[name]) || objectId
+    })),
+    ...Object.entries(docs.query || {}).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      required: false,
+      schema
+    }))
+  ];
+};
+
+// One OpenAPI operation for an Express route
+const describeOperation = ({ route, tag, authenticated, docs }) => {
+  const handles = route.stack.map(layer => layer.handle);
+  const handler = handles[handles.length - 1];
+  const parameters = describeParameters(route, docs);
+  const requiresAuth = authenticated || handles.includes(authenticateToken);
+
+  const operation = {
+    tags: [tag],
+    operationId: handler.name,
+    summary: docs.summary,
+    description: `Access: ${docs.access}`,
+    parameters,
+    responses: {
+      '2XX': {
+        description: 'Success',
+        content: jsonContent({ $ref: '#/components/schemas/SuccessResponse' })
+      },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+
+  if (handles.includes(uploadPhotos)) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: {
+              photos: { type: 'array', items: { type: 'string', format: 'binary' } }
+            }
+          }
+        }
+      }
+    };
+  } else if (docs.body) {
+    operation.requestBody = { required: Boolean(docs.body.required), content: jsonContent(docs.body) };
+  }
+
+  // Routes that also take a raw CSV file as the body
+  if (handles.includes(uploadCsv)) {
+    operation.requestBody = operation.requestBody || { required: true, content: {} };
+    operation.requestBody.content['text/csv'] = { schema: { type: 'string' } };
+  }
+
+  if (parameters.length > 0 || docs.body) {
+    operation.responses['400'] = { $ref: '#/components/responses/ValidationError' };
+  }
+  if (requiresAuth) {
+    operation.security = [{ bearerAuth: [] }];
+    operation.responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+  }
+
+  return operation;
+};
+
+// Build the OpenAPI 3 document for the mounted API routers. Routes without
+// a description are left out (and fail the docs test).
+const buildOpenApiDocument = (apiRoutes) => {
+  const paths = {
+    '/api/health': {
+      get: {
+        tags: ['Health'],
+        operationId: 'healthCheck',
+        summary: 'API health check',
+        responses: {
+          200: { description: 'Success', content: jsonContent({ $ref: '#/components/schemas/SuccessResponse' }) }
+        }
+      }
+    }
+  };
+
+  apiRoutes.forEach(({ path: mountPath, tag, router }) => {
+    const docsByRoute = routeDocs.get(router) || {};
+    let authenticated = false;
+
+    router.stack.forEach(layer => {
+      // router.use(authenticateToken) protects every route declared after it
+      if (!layer.route) {
+        authenticated = authenticated || layer.handle === authenticateToken;
+        return;
+      }
+
+      const { route } = layer;
+      const openApiPath = toOpenApiPath(mountPath + (route.path === '/' ? '' : route.path));
+
+      METHODS.filter(method => route.methods[method]).forEach(method => {
+        const docs = docsByRoute[`${method.toUpperCase()} ${route.path}`];
+        if (!docs) return;
+
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][method] = describeOperation({ route, tag, authenticated, docs });
+      });
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Dog Adoption Platform API',
+      version,
+      description
+    },
+    servers: [{ url: '/' }],
+    tags: [...apiRoutes.map(({ tag }) => ({ name: tag })), { name: 'Health' }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        SuccessResponse: {
+          type: 'object',
+          required: ['success'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            message: { type: 'string' },
+            data: { type: 'object', additionalProperties: true }
+          }
+        },
+        ErrorResponse: {
+          type: 'object',
+          required: ['success', 'message'],
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            message: { type: 'string' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string' },
+                  msg: { type: 'string' },
+                  path: { type: 'string' },
+                  location: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        Error: {
+          description: 'Error',
+          content: jsonContent({ $ref: '#/components/schemas/ErrorResponse' })
+        },
+        ValidationError: {
+          description: 'Validation failed',
+          content: jsonContent({ $ref: '#/components/schemas/ErrorResponse' })
+        },
+        Unauthorized: {
+          description: 'Missing, invalid or revoked access token',
+          content: jsonContent({ $ref: '#/components/schemas/ErrorResponse' })
+        }
+      }
+    }
+  };
+};
+
+module.exports = { documentRoutes, buildOpenApiDocument };
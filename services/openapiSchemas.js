@@ -0,0 +1,156 @@
+const Dog = require('../models/Dog');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const AdoptionApplication = require('../models/AdoptionApplication');
+
+// Schema pieces shared by the route descriptions in routes/*.js. They follow
+// the rules in middleware/validation.js, so change both together. Enums are
+// read from the models.
+
+const enumOf = (Model, path) => Model.schema.path(path).enumValues;
+
+const DOG_SIZES = enumOf(Dog, 'size');
+const DOG_SEXES = enumOf(Dog, 'sex');
+const ENERGY_LEVELS = enumOf(Dog, 'energyLevel');
+const DOG_STATUSES = enumOf(Dog, 'status');
+const USER_ROLES = enumOf(User, 'role');
+const MEMBER_ROLES = Organization.schema.path('members').schema.path('role').enumValues;
+const APPLICATION_STATUSES = enumOf(AdoptionApplication, 'status');
+const DOG_FLAGS = ['houseTrained', 'goodWithKids', 'goodWithCats', 'goodWithDogs', 'spayedNeutered'];
+
+const objectId = { type: 'string', pattern: '^[a-fA-F0-9]{24}$' };
+
+// A string between min and max characters (either may be left out)
+const text = (minLength, maxLength) => {
+  const schema = { type: 'string' };
+  if (minLength) schema.minLength = minLength;
+  if (maxLength !== undefined) schema.maxLength = maxLength;
+  return schema;
+};
+
+const oneOf = (values) => ({ type: 'string', enum: values });
+
+const boolean = { type: 'boolean' };
+
+// Comma separated values from a fixed list, as the listing filters take them
+const listOf = (values) => ({
+  type: 'string',
+  description: `One or more of ${values.join(', ')}, comma separated`
+});
+
+// An object with the given properties, the named ones required
+const object = (properties, required = []) => {
+  const schema = { type: 'object', properties };
+  if (required.length > 0) schema.required = required;
+  return schema;
+};
+
+// Every property of an object schema required, e.g. for a create endpoint
+const requireAll = (schema, required = Object.keys(schema.properties)) => ({ ...schema, required });
+
+const flags = (schema) => Object.fromEntries(DOG_FLAGS.map(flag => [flag, schema]));
+
+const latitude = { type: 'number', minimum: -90, maximum: 90 };
+const longitude = { type: 'number', minimum: -180, maximum: 180 };
+const radiusKm = { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 500 };
+const ageInYears = { type: 'integer', minimum: 0, maximum: 30 };
+
+// Fields of a dog's profile, as registered, updated or imported
+const dogProfile = {
+  name: text(1, 50),
+  description: text(1, 500),
+  breed: text(1, 50),
+  birthDate: { type: 'string', format: 'date' },
+  age: { type: 'number', minimum: 0, maximum: 30, description: 'Age in years, used when birthDate is not given' },
+  size: oneOf(DOG_SIZES),
+  sex: oneOf(DOG_SEXES),
+  energyLevel: oneOf(ENERGY_LEVELS),
+  ...flags(boolean),
+  location: object({
+    lat: latitude,
+    lng: longitude,
+    city: text(0, 100),
+    postcode: text(0, 20)
+  })
+};
+
+// Query parameters
+const pagination = {
+  page: { type: 'integer', minimum: 1 },
+  limit: { type: 'integer', minimum: 1, maximum: 100 }
+};
+
+const dogListing = {
+  ...pagination,
+  status: oneOf(DOG_STATUSES),
+  organization: objectId,
+  removed: boolean
+};
+
+const listingOrder = {
+  sort: oneOf(Dog.LISTING_SORT_NAMES),
+  cursor: { type: 'string', description: 'nextCursor from the previous page' },
+  q: { ...text(1, 100), description: 'Full-text search over name, breed and description' }
+};
+
+const dogFilters = {
+  breed: text(1, 50),
+  size: listOf(DOG_SIZES),
+  sex: listOf(DOG_SEXES),
+  energyLevel: listOf(ENERGY_LEVELS),
+  ...flags(boolean),
+  minAge: ageInYears,
+  maxAge: ageInYears
+};
+
+const nearLocation = {
+  lat: latitude,
+  lng: longitude,
+  radiusKm
+};
+
+const adoptionScope = { scope: oneOf(['current', 'past']) };
+
+const exportFormat = { format: oneOf(['csv', 'json']) };
+
+const statsRange = {
+  from: { type: 'string', format: 'date' },
+  to: { type: 'string', format: 'date', description: 'A date without a time covers the whole day' },
+  interval: oneOf(['week', 'month'])
+};
+
+// Saved search criteria take the listing filters in a request body
+const savedSearchCriteria = object({
+  status: oneOf(DOG_STATUSES),
+  q: text(1, 100),
+  breed: text(1, 50),
+  size: { type: 'array', items: oneOf(DOG_SIZES) },
+  sex: { type: 'array', items: oneOf(DOG_SEXES) },
+  energyLevel: { type: 'array', items: oneOf(ENERGY_LEVELS) },
+  ...flags(boolean),
+  minAge: ageInYears,
+  maxAge: ageInYears,
+  location: object({ lat: latitude, lng: longitude, radiusKm }, ['lat', 'lng'])
+});
+
+module.exports = {
+  USER_ROLES,
+  MEMBER_ROLES,
+  APPLICATION_STATUSES,
+  objectId,
+  text,
+  oneOf,
+  boolean,
+  object,
+  requireAll,
+  dogProfile,
+  pagination,
+  dogListing,
+  listingOrder,
+  dogFilters,
+  nearLocation,
+  adoptionScope,
+  exportFormat,
+  statsRange,
+  savedSearchCriteria
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { hashToken, revokeAllSessions } = require('./tokenService');
+const { sendMail } = require('./mail');
+const { unlockLogin } = require('./loginThrottle');
+
+// How long a reset link stays valid
+const getResetTokenMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// Page of the frontend that asks for the new password
+const getResetUrl = () => process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+
+// Email a single-use reset link to the account with this address. Unknown
+// addresses are ignored, so callers cannot tell which emails are registered.
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user) return;
+
+  // Only the newest link works
+  await PasswordResetToken.retireAllForUser(user._id);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const minutes = getResetTokenMinutes();
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  const link = `${getResetUrl()}?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Dog Adoption Platform password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `Someone asked to reset the password for your account. Use this link within ${minutes} minutes to choose a new one:`,
+      '',
+      link,
+      '',
+      'If it was not you, you can ignore this email and your password will stay the same.'
+    ].join('\n')
+  });
+};
+
+// Set a new password with a reset token, then end every existing session
+const resetPassword = async (token, password) => {
+  // Claim the token atomically so it can only ever be used once
+  const record = await PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+
+  const user = record && await User.findById(record.user);
+  if (!user) {
+    const error = new Error('Invalid or expired reset token');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  user.password = password;
+  await revokeAllSessions(user);
+  await PasswordResetToken.retireAllForUser(user._id);
+
+  // Proving access to the email also lifts a lockout from failed logins
+  await unlockLogin(user.username);
+
+  return user;
+};
+
+module.exports = {
+  getResetTokenMinutes,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,25 @@
+const Organization = require('../models/Organization');
+
+// Personal listings are managed by the user who registered them. Organization
+// dogs are managed by whoever currently has a managing role there, so members
+// who leave or are removed lose access to the dogs they registered.
+const canManageDog = async (user, dog) => {
+  if (!dog.organization) {
+    const ownerId = dog.owner._id || dog.owner;
+    return ownerId.toString() === user._id.toString();
+  }
+
+  const organization = await Organization.findById(dog.organization._id || dog.organization);
+  return !!organization && organization.canManageDogs(user._id);
+};
+
+// Dogs registered or imported for an organization need a member who may
+// manage its dogs. Personal listings need no further permission.
+const canRegisterDogFor = async (user, organizationId) => {
+  if (!organizationId) return true;
+
+  const organization = await Organization.findById(organizationId);
+  return !!organization && organization.canManageDogs(user._id);
+};
+
+module.exports = { canManageDog, canRegisterDogFor };
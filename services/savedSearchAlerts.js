@@ -0,0 +1,47 @@
+const SavedSearch = require('../models/SavedSearch');
+const { criteriaQuery, matchesCriteria } = require('../utils/savedSearchMatcher');
+const { notify } = require('./notifications');
+
+// Notify everyone whose saved search matches a newly listed dog. The
+// database narrows the searches down; location and text are checked here.
+const alertMatchingSearches = async (dog) => {
+  const searches = SavedSearch.find({
+    alertsEnabled: true,
+    user: { $ne: dog.owner._id || dog.owner },
+    ...criteriaQuery(dog)
+  }).cursor();
+
+  const notified = new Set();
+  for await (const search of searches) {
+    const userId = search.user.toString();
+
+    // One alert per user, even if several of their searches match
+    if (notified.has(userId) || !matchesCriteria(dog, search.criteria)) continue;
+    notified.add(userId);
+
+    await notify(search.user, {
+      type: 'saved_search_match',
+      title: `New match for "${search.name}"`,
+      message: `${dog.name} was just listed and matches your saved search.`,
+      data: { dog: dog._id, savedSearch: search._id }
+    });
+
+    search.lastAlertedAt = new Date();
+    await search.save();
+  }
+
+  return notified.size;
+};
+
+// Saved search alerts are best effort: a failure is logged and the dog is
+// listed either way
+const tryAlertMatchingSearches = async (dog) => {
+  try {
+    return await alertMatchingSearches(dog);
+  } catch (error) {
+    console.error('Saved search alerts failed:', error.message);
+    return 0;
+  }
+};
+
+module.exports = { alertMatchingSearches, tryAlertMatchingSearches };
@@ -0,0 +1,21 @@
+const path = require('path');
+const createLocalDiskStorage = require('./localDiskStorage');
+
+// Photo storage is pluggable: any object with save(key, buffer), remove(key)
+// and url(key) can replace the local disk backend via setStorage
+let storage = createLocalDiskStorage({
+  root: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+  baseUrl: '/uploads'
+});
+
+const getStorage = () => storage;
+
+const setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createLocalDiskStorage
+};
@@ -0,0 +1,40 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Store files on the local disk and serve them from a static URL prefix
+const createLocalDiskStorage = ({ root, baseUrl }) => {
+  // Keys are generated by us, but never let one escape the storage root
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    root,
+
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return this.url(key);
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolve(key));
+      } catch (error) {
+        // Already gone is as good as removed
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    url(key) {
+      return `${baseUrl}/${key}`;
+    }
+  };
+};
+
+module.exports = createLocalDiskStorage;
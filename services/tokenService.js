@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+// Short-lived JWT; tokenVersion lets "log out everywhere" kill it early.
+// Its lifetime has its own setting: JWT_EXPIRES_IN from older setups is
+// often a day or more, far too long for a token that survives logout.
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, tokenVersion: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
+  );
+};
+
+// Opaque random refresh token, stored hashed server side
+const createRefreshToken = async (userId, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { token, record };
+};
+
+// Issue an access/refresh token pair for a new session
+const issueTokens = async (user) => {
+  const { token: refreshToken } = await createRefreshToken(user._id);
+  return {
+    token: generateAccessToken(user),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated means it leaked, so the whole family is revoked.
+const rotateRefreshToken = async (token) => {
+  const tokenHash = hashToken(token);
+
+  // Claim the token atomically so two concurrent refreshes can't both win.
+  // Expired tokens are never claimed, so retrying one is not taken for reuse.
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: 'rotated' }
+  );
+
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (existing && existing.revokedReason === 'rotated') {
+      await RefreshToken.revokeFamily(existing.family, 'reuse-detected');
+      throw authError('Refresh token reuse detected, please log in again');
+    }
+    if (existing && !existing.revokedAt) {
+      throw authError('Refresh token has expired');
+    }
+    throw authError('Invalid refresh token');
+  }
+
+  const user = await User.findById(current.user);
+  if (!user) {
+    throw authError('Invalid credentials');
+  }
+
+  if (user.isSuspended) {
+    const error = new Error('Your account has been suspended');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const { token: refreshToken, record } = await createRefreshToken(user._id, current.family);
+  current.replacedBy = record._id;
+  await current.save();
+
+  return {
+    user,
+    token: generateAccessToken(user),
+    refreshToken
+  };
+};
+
+// End the session a refresh token belongs to
+const revokeRefreshToken = async (token) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (existing) {
+    await RefreshToken.revokeFamily(existing.family, 'logout');
+  }
+};
+
+// End every session of a user, including access tokens already handed out
+const revokeAllSessions = async (user) => {
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save();
+  await RefreshToken.revokeAllForUser(user._id, 'logout-all');
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const LoginChallenge = require('../models/LoginChallenge');
+const { hashToken } = require('./tokenService');
+const { base32Encode, generateSecret, verifyTotp, otpauthUri } = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// How long the second login step stays open after the password check
+const getChallengeMinutes = () => parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES) || 5;
+
+// Name authenticator apps show next to the account
+const getIssuer = () => process.env.TOTP_ISSUER || 'Dog Adoption Platform';
+
+// Codes are checked against this clock; pluggable so tests can fix the time
+let clock = () => Date.now();
+
+const getClock = () => clock;
+
+const setClock = (newClock) => {
+  clock = newClock;
+};
+
+const TWO_FACTOR_FIELDS = [
+  '+twoFactor.pendingSecret',
+  '+twoFactor.secret',
+  '+twoFactor.recoveryCodes',
+  '+twoFactor.lastUsedStep'
+].join(' ');
+
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Recovery codes look like "K7QD-M2XA"; dashes, spaces and case are ignored
+const generateRecoveryCode = () => base32Encode(crypto.randomBytes(5)).replace(/^(.{4})/, '$1-');
+const hashRecoveryCode = (code) => hashToken(String(code).toUpperCase().replace(/[\s-]/g, ''));
+
+// Start setup with a new secret. It only replaces the active one once a
+// code from it has been verified.
+const startTwoFactorSetup = async (user) => {
+  if (user.isTwoFactorEnabled) {
+    throw requestError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+  return {
+    secret,
+    otpauthUri: otpauthUri({ secret, account: user.username, issuer: getIssuer() })
+  };
+};
+
+// Turn two-factor authentication on with a code from the pending secret and
+// return the recovery codes. Only their hashes are kept, so they are shown once.
+const enableTwoFactor = async (user, code) => {
+  const current = await User.findById(user._id).select(TWO_FACTOR_FIELDS);
+
+  if (current.isTwoFactorEnabled) {
+    throw requestError('Two-factor authentication is already enabled');
+  }
+  if (!current.twoFactor.pendingSecret) {
+    throw requestError('Start two-factor setup first');
+  }
+
+  const step = verifyTotp(current.twoFactor.pendingSecret, code, clock());
+  if (step === null) {
+    throw requestError('Invalid two-factor code');
+  }
+
+  const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  current.twoFactor = {
+    secret: current.twoFactor.pendingSecret,
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    lastUsedStep: step,
+    enabledAt: new Date()
+  };
+  await current.save();
+
+  return recoveryCodes;
+};
+
+// Turn two-factor authentication off and drop its secret and recovery codes
+const disableTwoFactor = async (user) => {
+  if (!user.isTwoFactorEnabled) {
+    throw requestError('Two-factor authentication is not enabled');
+  }
+
+  user.twoFactor = { enabledAt: null };
+  await user.save();
+  await LoginChallenge.deleteMany({ user: user._id });
+};
+
+// Open the second login step for a user who gave the right password
+const createLoginChallenge = async (user) => {
+  const challengeToken = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + getChallengeMinutes() * 60 * 1000);
+
+  await LoginChallenge.create({
+    user: user._id,
+    tokenHash: hashToken(challengeToken),
+    expiresAt
+  });
+
+  return { challengeToken, expiresAt };
+};
+
+// The user an open login challenge belongs to, with their two-factor secrets
+const findChallengeUser = async (challengeToken) => {
+  const challenge = await LoginChallenge.findOne({
+    tokenHash: hashToken(challengeToken),
+    expiresAt: { $gt: new Date() }
+  });
+  const user = challenge && await User.findById(challenge.user).select(TWO_FACTOR_FIELDS);
+
+  if (!user || !user.isTwoFactorEnabled || user.isDeleted) {
+    throw requestError('Invalid or expired login challenge', 401);
+  }
+
+  return user;
+};
+
+// Check a 6-digit code from the authenticator app or an unused recovery
+// code. Either is claimed atomically, so each works only once.
+const verifyTwoFactorCode = async (user, code) => {
+  if (/^\d{6}$/.test(code)) {
+    const step = verifyTotp(user.twoFactor.secret, code, clock());
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  const codeHash = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+    { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Close a login challenge; false when another request already used it
+const completeLoginChallenge = async (challengeToken) => {
+  const challenge = await LoginChallenge.findOneAndDelete({ tokenHash: hashToken(challengeToken) });
+  return !!challenge;
+};
+
+module.exports = {
+  getClock,
+  setClock,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  createLoginChallenge,
+  findChallengeUser,
+  verifyTwoFactorCode,
+  completeLoginChallenge
+};
@@ -0,0 +1,242 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const AdoptionApplication = require('../models/AdoptionApplication');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Favorite = require('../models/Favorite');
+const Organization = require('../models/Organization');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+
+describe('Account Endpoints', () => {
+  let server;
+  let tokens, refreshTokens, ids;
+  let availableDogId, adoptedDogId;
+
+  const register = async (username) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ username, password: 'password123' });
+    tokens[username] = response.body.data.token;
+    refreshTokens[username] = response.body.data.refreshToken;
+    ids[username] = response.body.data.user.id;
+  };
+
+  const registerDog = async (name) => {
+    const response = await request(app)
+      .post('/api/dogs')
+      .set('Authorization', `Bearer ${tokens.owner}`)
+      .send({ name, description: 'A lovely dog' });
+    return response.body.data.dog._id;
+  };
+
+  const deleteAccount = (username, password = 'password123') => {
+    return request(app)
+      .delete('/api/auth/account')
+      .set('Authorization', `Bearer ${tokens[username]}`)
+      .send({ password });
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+    await Conversation.deleteMany({});
+    await Message.deleteMany({});
+    await Favorite.deleteMany({});
+    await Organization.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+
+    tokens = {};
+    refreshTokens = {};
+    ids = {};
+    await register('owner');
+    await register('adopter');
+
+    availableDogId = await registerDog('Bella');
+    adoptedDogId = await registerDog('Rex');
+
+    const applyResponse = await request(app)
+      .put(`/api/dogs/${adoptedDogId}/adopt`)
+      .set('Authorization', `Bearer ${tokens.adopter}`)
+      .send({ message: 'Call me on 07700 900123' });
+
+    await request(app)
+      .put(`/api/applications/${applyResponse.body.data.application._id}/approve`)
+      .set('Authorization', `Bearer ${tokens.owner}`)
+      .send({});
+
+    await request(app)
+      .post('/api/conversations')
+      .set('Authorization', `Bearer ${tokens.adopter}`)
+      .send({ dogId: availableDogId, body: 'Is Bella good with cats?' });
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+    await Conversation.deleteMany({});
+    await Message.deleteMany({});
+    await Favorite.deleteMany({});
+    await Organization.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('PUT /api/auth/password', () => {
+    it('should require the current password', async () => {
+      const response = await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword456' })
+        .expect(400);
+
+      expect(response.body.message).to.equal('Current password is incorrect');
+    });
+
+    it('should change the password and end other sessions', async () => {
+      const response = await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword456' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: refreshTokens.owner })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'owner', password: 'newpassword456' })
+        .expect(200);
+    });
+  });
+
+  describe('GET /api/auth/export', () => {
+    it('should export the user\'s profile, dogs, adoptions and messages', async () => {
+      const ownerExport = await request(app)
+        .get('/api/auth/export')
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .expect(200);
+
+      expect(ownerExport.headers['content-disposition']).to.include('attachment');
+      expect(ownerExport.body.data.profile.username).to.equal('owner');
+      expect(ownerExport.body.data.profile).to.not.have.property('password');
+      expect(ownerExport.body.data.dogs.map(dog => dog.name)).to.deep.equal(['Bella', 'Rex']);
+      expect(ownerExport.body.data.messages).to.have.lengthOf(1);
+
+      const adopterExport = await request(app)
+        .get('/api/auth/export')
+        .set('Authorization', `Bearer ${tokens.adopter}`)
+        .expect(200);
+
+      const { adoptions, applications, conversations } = adopterExport.body.data;
+      expect(adoptions.current[0].name).to.equal('Rex');
+      expect(adoptions.current[0].owner.username).to.equal('owner');
+      expect(applications).to.have.lengthOf(1);
+      expect(conversations[0].dog.name).to.equal('Bella');
+    });
+  });
+
+  describe('DELETE /api/auth/account', () => {
+    it('should require the password', async () => {
+      const response = await deleteAccount('owner', 'wrongpassword').expect(400);
+
+      expect(response.body.message).to.equal('Password is incorrect');
+    });
+
+    it('should remove the owner\'s available listings and keep adopted dogs', async () => {
+      await deleteAccount('owner').expect(200);
+
+      const available = await Dog.findById(availableDogId);
+      expect(available.removedAt).to.be.an.instanceOf(Date);
+      expect(available.removedReason).to.equal('The owner deleted their account');
+
+      const adopted = await Dog.findById(adoptedDogId);
+      expect(adopted.removedAt).to.be.null;
+      expect(adopted.owner.toString()).to.equal(ids.owner);
+    });
+
+    it('should anonymize the adopter and keep the adoption history', async () => {
+      await deleteAccount('adopter').expect(200);
+
+      const user = await User.findById(ids.adopter);
+      expect(user.username).to.match(/^deleted-/);
+      expect(user.deletedAt).to.be.an.instanceOf(Date);
+
+      const dog = await Dog.findById(adoptedDogId);
+      expect(dog.status).to.equal('adopted');
+      expect(dog.adopter.toString()).to.equal(ids.adopter);
+      expect(dog.adoptionMessage).to.be.undefined;
+
+      const application = await AdoptionApplication.findOne({ applicant: ids.adopter });
+      expect(application.message).to.be.undefined;
+    });
+
+    it('should end every session and free the username', async () => {
+      await deleteAccount('adopter').expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${tokens.adopter}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: refreshTokens.adopter })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'adopter', password: 'password123' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'adopter', password: 'password123' })
+        .expect(201);
+    });
+
+    it('should not leave an organization without an admin', async () => {
+      await User.updateOne({ _id: ids.owner }, { role: 'staff' });
+      await request(app)
+        .post('/api/organizations')
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ name: 'Happy Paws Shelter' });
+
+      const response = await deleteAccount('owner').expect(400);
+
+      expect(response.body.message).to.equal('Make another member an admin of Happy Paws Shelter before deleting your account');
+    });
+  });
+});
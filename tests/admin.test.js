@@ -0,0 +1,160 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const RefreshToken = require('../models/RefreshToken');
+
+describe('Admin Endpoints', () => {
+  let server;
+  let adminToken, userToken;
+  let adminId, userId;
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await RefreshToken.deleteMany({});
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'admin', password: 'password123' });
+
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'user1', password: 'password123' });
+
+    adminToken = adminResponse.body.data.token;
+    userToken = userResponse.body.data.token;
+    adminId = adminResponse.body.data.user.id;
+    userId = userResponse.body.data.user.id;
+
+    await User.updateOne({ _id: adminId }, { role: 'admin' });
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await RefreshToken.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should list users for admins', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?role=adopter')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).to.be.true;
+      expect(response.body.data.users).to.have.lengthOf(1);
+      expect(response.body.data.users[0].username).to.equal('user1');
+      expect(response.body.data.users[0].password).to.be.undefined;
+    });
+
+    it('should forbid regular users', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.message).to.equal('You do not have permission to perform this action');
+    });
+  });
+
+  describe('PUT /api/admin/users/:id/role', () => {
+    it('should change a user\'s role', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${userId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'staff' })
+        .expect(200);
+
+      expect(response.body.data.user.role).to.equal('staff');
+    });
+
+    it('should not let admins change their own role', async () => {
+      await request(app)
+        .put(`/api/admin/users/${adminId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'adopter' })
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/admin/users/:id/suspend', () => {
+    it('should block a suspended user immediately', async () => {
+      await request(app)
+        .put(`/api/admin/users/${userId}/suspend`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Spam listings' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'user1', password: 'password123' })
+        .expect(403);
+
+      expect(login.body.message).to.equal('Your account has been suspended');
+    });
+
+    it('should let a user back in once unsuspended', async () => {
+      await request(app)
+        .put(`/api/admin/users/${userId}/suspend`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      await request(app)
+        .put(`/api/admin/users/${userId}/unsuspend`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'user1', password: 'password123' })
+        .expect(200);
+    });
+  });
+
+  describe('DELETE /api/admin/dogs/:id', () => {
+    it('should remove a dog the admin does not own', async () => {
+      const dogResponse = await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Buddy', description: 'A friendly golden retriever' });
+
+      const dogId = dogResponse.body.data.dog._id;
+
+      await request(app)
+        .delete(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/admin/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const dog = await Dog.findById(dogId);
+      expect(dog.removedAt).to.be.a('date');
+      expect(dog.removedReason).to.equal('Listing removed by a moderator');
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const AdoptionApplication = require('../models/AdoptionApplication');
+
+describe('Adoption Application Endpoints', () => {
+  let server;
+  let ownerToken, applicant1Token, applicant2Token;
+  let dogId;
+
+  const apply = (token, message) => {
+    return request(app)
+      .put(`/api/dogs/${dogId}/adopt`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ message });
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+
+    // Create test users
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'owner', password: 'password123' });
+
+    const applicant1Response = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'applicant1', password: 'password123' });
+
+    const applicant2Response = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'applicant2', password: 'password123' });
+
+    ownerToken = ownerResponse.body.data.token;
+    applicant1Token = applicant1Response.body.data.token;
+    applicant2Token = applicant2Response.body.data.token;
+
+    const dogResponse = await request(app)
+      .post('/api/dogs')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Buddy', description: 'A friendly golden retriever' });
+
+    dogId = dogResponse.body.data.dog._id;
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('GET /api/dogs/:id/applications', () => {
+    it('should list every application for the owner', async () => {
+      await apply(applicant1Token, 'Please pick me');
+      await apply(applicant2Token, 'I have a big garden');
+
+      const response = await request(app)
+        .get(`/api/dogs/${dogId}/applications`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.success).to.be.true;
+      expect(response.body.data.applications).to.have.lengthOf(2);
+    });
+
+    it('should not list applications for someone else\'s dog', async () => {
+      const response = await request(app)
+        .get(`/api/dogs/${dogId}/applications`)
+        .set('Authorization', `Bearer ${applicant1Token}`)
+        .expect(403);
+
+      expect(response.body.success).to.be.false;
+    });
+  });
+
+  describe('PUT /api/applications/:id/approve', () => {
+    it('should adopt the dog and reject the other applications', async () => {
+      const first = await apply(applicant1Token, 'Please pick me');
+      const second = await apply(applicant2Token, 'I have a big garden');
+
+      const response = await request(app)
+        .put(`/api/applications/${first.body.data.application._id}/approve`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ note: 'Welcome!' })
+        .expect(200);
+
+      expect(response.body.success).to.be.true;
+      expect(response.body.data.application.status).to.equal('approved');
+
+      const dog = await Dog.findById(dogId).populate('adopter', 'username');
+      expect(dog.status).to.equal('adopted');
+      expect(dog.adopter.username).to.equal('applicant1');
+      expect(dog.adoptionMessage).to.equal('Please pick me');
+
+      const other = await AdoptionApplication.findById(second.body.data.application._id);
+      expect(other.status).to.equal('rejected');
+    });
+
+    it('should approve only one of two concurrent approvals', async () => {
+      const first = await apply(applicant1Token, 'Please pick me');
+      const second = await apply(applicant2Token, 'I have a big garden');
+
+      const approve = (application) => request(app)
+        .put(`/api/applications/${application.body.data.application._id}/approve`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({});
+
+      const responses = await Promise.all([approve(first), approve(second)]);
+      const statuses = responses.map(response => response.status).sort();
+
+      expect(statuses[0]).to.equal(200);
+      expect(statuses[1]).to.be.oneOf([400, 409]);
+
+      const approved = await AdoptionApplication.countDocuments({ dog: dogId, status: 'approved' });
+      expect(approved).to.equal(1);
+    });
+
+    it('should only allow the owner to approve', async () => {
+      const first = await apply(applicant1Token, 'Please pick me');
+
+      const response = await request(app)
+        .put(`/api/applications/${first.body.data.application._id}/approve`)
+        .set('Authorization', `Bearer ${applicant2Token}`)
+        .send({})
+        .expect(403);
+
+      expect(response.body.success).to.be.false;
+
+      const dog = await Dog.findById(dogId);
+      expect(dog.status).to.equal('available');
+    });
+  });
+
+  describe('PUT /api/applications/:id/reject', () => {
+    it('should reject without adopting the dog', async () => {
+      const first = await apply(applicant1Token, 'Please pick me');
+
+      const response = await request(app)
+        .put(`/api/applications/${first.body.data.application._id}/reject`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ note: 'Not a good match' })
+        .expect(200);
+
+      expect(response.body.data.application.status).to.equal('rejected');
+      expect(response.body.data.application.decisionNote).to.equal('Not a good match');
+
+      const dog = await Dog.findById(dogId);
+      expect(dog.status).to.equal('available');
+    });
+
+    it('should not decide an application twice', async () => {
+      const first = await apply(applicant1Token, 'Please pick me');
+      const applicationId = first.body.data.application._id;
+
+      await request(app)
+        .put(`/api/applications/${applicationId}/reject`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({});
+
+      const response = await request(app)
+        .put(`/api/applications/${applicationId}/approve`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.message).to.equal('Application has already been rejected');
+    });
+  });
+
+  describe('PUT /api/applications/:id/withdraw', () => {
+    it('should let the applicant withdraw a pending application', async () => {
+      const first = await apply(applicant1Token, 'Please pick me');
+
+      const response = await request(app)
+        .put(`/api/applications/${first.body.data.application._id}/withdraw`)
+        .set('Authorization', `Bearer ${applicant1Token}`)
+        .expect(200);
+
+      expect(response.body.data.application.status).to.equal('withdrawn');
+    });
+  });
+
+  describe('GET /api/applications', () => {
+    it('should list the current user\'s applications', async () => {
+      await apply(applicant1Token, 'Please pick me');
+
+      const response = await request(app)
+        .get('/api/applications?status=pending')
+        .set('Authorization', `Bearer ${applicant1Token}`)
+        .expect(200);
+
+      expect(response.body.success).to.be.true;
+      expect(response.body.data.applications).to.have.lengthOf(1);
+      expect(response.body.data.pagination.totalApplications).to.equal(1);
+    });
+  });
+});
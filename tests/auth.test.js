@@ -3,6 +3,8 @@ const { expect } = require('chai');
 const mongoose = require('mongoose');
 const app = require('../app');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
 
 describe('Authentication Endpoints', () => {
   let server;
@@ -18,10 +20,14 @@ describe('Authentication Endpoints', () => {
   beforeEach(async () => {
     // Clean up users before each test
     await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
   });
 
   after(async () => {
     await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
     if (server) server.close();
     if (mongoose.connection.readyState !== 0) {
       await mongoose.connection.close();
@@ -44,6 +50,7 @@ describe('Authentication Endpoints', () => {
       expect(response.body.message).to.equal('User registered successfully');
       expect(response.body.data.user.username).to.equal(userData.username);
       expect(response.body.data.token).to.be.a('string');
+      expect(response.body.data.refreshToken).to.be.a('string');
     });
 
     it('should not register user with duplicate username', async () => {
@@ -196,4 +203,114 @@ describe('Authentication Endpoints', () => {
       expect(response.body.message).to.equal('Invalid token');
     });
   });
+
+  describe('Refresh tokens and logout', () => {
+    let token, refreshToken;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'testuser', password: 'password123' });
+
+      token = response.body.data.token;
+      refreshToken = response.body.data.refreshToken;
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.success).to.be.true;
+      expect(response.body.data.token).to.be.a('string');
+      expect(response.body.data.refreshToken).to.not.equal(refreshToken);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(reuse.body.message).to.equal('Refresh token reuse detected, please log in again');
+
+      // The token handed out by the legitimate rotation is dead too
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+
+      expect(response.body.success).to.be.false;
+    });
+
+    it('should refuse an expired refresh token without revoking its family', async () => {
+      await RefreshToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+      for (let i = 0; i < 2; i += 1) {
+        const response = await request(app)
+          .post('/api/auth/refresh')
+          .send({ refreshToken })
+          .expect(401);
+
+        expect(response.body.message).to.equal('Refresh token has expired');
+      }
+
+      const record = await RefreshToken.findOne({});
+      expect(record.revokedAt).to.be.null;
+    });
+
+    it('should reject unknown refresh tokens', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' })
+        .expect(401);
+
+      expect(response.body.message).to.equal('Invalid refresh token');
+    });
+
+    it('should log out the current session', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    it('should log out everywhere', async () => {
+      const other = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'testuser', password: 'password123' });
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${other.body.data.token}`)
+        .expect(401);
+
+      expect(profile.body.message).to.equal('Token has been revoked');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: other.body.data.refreshToken })
+        .expect(401);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,166 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+describe('Conversation Endpoints', () => {
+  let server;
+  let ownerToken, adopterToken;
+  let ownerId;
+  let dogId;
+
+  const startConversation = (body = 'Is Buddy good with cats?') => {
+    return request(app)
+      .post('/api/conversations')
+      .set('Authorization', `Bearer ${adopterToken}`)
+      .send({ dogId, body });
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await Conversation.deleteMany({});
+    await Message.deleteMany({});
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'owner', password: 'password123' });
+
+    const adopterResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'adopter', password: 'password123' });
+
+    ownerToken = ownerResponse.body.data.token;
+    adopterToken = adopterResponse.body.data.token;
+    ownerId = ownerResponse.body.data.user.id;
+
+    const dogResponse = await request(app)
+      .post('/api/dogs')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Buddy', description: 'A friendly golden retriever' });
+
+    dogId = dogResponse.body.data.dog._id;
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await Conversation.deleteMany({});
+    await Message.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('POST /api/conversations', () => {
+    it('should start one thread per adopter and dog', async () => {
+      const first = await startConversation().expect(201);
+      const second = await startConversation('Also, is he house trained?').expect(201);
+
+      expect(second.body.data.conversation._id).to.equal(first.body.data.conversation._id);
+      expect(second.body.data.conversation.owner.username).to.equal('owner');
+      expect(await Message.countDocuments()).to.equal(2);
+    });
+
+    it('should not let owners message about their own dog', async () => {
+      await request(app)
+        .post('/api/conversations')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ dogId, body: 'Hello' })
+        .expect(400);
+    });
+
+    it('should not let users message a suspended owner', async () => {
+      await User.updateOne({ _id: ownerId }, { suspendedAt: new Date() });
+
+      const response = await startConversation().expect(403);
+
+      expect(response.body.message).to.equal('You cannot message a suspended user');
+    });
+  });
+
+  describe('replies and unread counts', () => {
+    it('should count unread messages until the thread is read', async () => {
+      const started = await startConversation();
+      const conversationId = started.body.data.conversation._id;
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(profile.body.data.unreadMessages).to.equal(1);
+
+      const list = await request(app)
+        .get('/api/conversations')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(list.body.data.conversations[0].unreadCount).to.equal(1);
+
+      await request(app)
+        .put(`/api/conversations/${conversationId}/read`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/conversations/${conversationId}/messages`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ body: 'Yes, he lives with two cats' })
+        .expect(201);
+
+      const ownerProfile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${ownerToken}`);
+      const adopterProfile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${adopterToken}`);
+
+      expect(ownerProfile.body.data.unreadMessages).to.equal(0);
+      expect(adopterProfile.body.data.unreadMessages).to.equal(1);
+    });
+
+    it('should hide conversations from other users', async () => {
+      const started = await startConversation();
+
+      const outsider = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'outsider', password: 'password123' });
+
+      await request(app)
+        .get(`/api/conversations/${started.body.data.conversation._id}/messages`)
+        .set('Authorization', `Bearer ${outsider.body.data.token}`)
+        .expect(404);
+    });
+
+    it('should close the thread once the dog is removed', async () => {
+      const started = await startConversation();
+
+      await request(app)
+        .delete(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      const response = await request(app)
+        .post(`/api/conversations/${started.body.data.conversation._id}/messages`)
+        .set('Authorization', `Bearer ${adopterToken}`)
+        .send({ body: 'Is he still available?' })
+        .expect(400);
+
+      expect(response.body.message).to.equal('This dog has been removed and can no longer be discussed');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const AdoptionApplication = require('../models/AdoptionApplication');
+
+describe('Dog Export Endpoints', () => {
+  let server;
+  let ownerToken, adopterToken;
+  let adoptedDogId;
+
+  const registerDog = (name) => {
+    return request(app)
+      .post('/api/dogs')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name, description: 'A lovely dog' });
+  };
+
+  const exportDogs = (path, token = ownerToken) => {
+    return request(app)
+      .get(path)
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => callback(null, text));
+      });
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'owner', password: 'password123' });
+
+    const adopterResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'adopter', password: 'password123' });
+
+    ownerToken = ownerResponse.body.data.token;
+    adopterToken = adopterResponse.body.data.token;
+
+    await registerDog('Bella');
+    const dogResponse = await registerDog('Rex');
+    adoptedDogId = dogResponse.body.data.dog._id;
+
+    const applyResponse = await request(app)
+      .put(`/api/dogs/${adoptedDogId}/adopt`)
+      .set('Authorization', `Bearer ${adopterToken}`)
+      .send({ message: 'We have a big garden, with a fence' });
+
+    await request(app)
+      .put(`/api/applications/${applyResponse.body.data.application._id}/approve`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({});
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('GET /api/dogs/registered/export', () => {
+    it('should export every registered dog as CSV', async () => {
+      const response = await exportDogs('/api/dogs/registered/export').expect(200);
+
+      expect(response.headers['content-type']).to.include('text/csv');
+      expect(response.headers['content-disposition']).to.match(/attachment; filename="registered-dogs-.*\.csv"/);
+
+      const lines = response.body.trim().split('\r\n');
+      expect(lines[0]).to.equal('dogId,name,breed,status,owner,organization,registeredAt,adopter,adoptionMessage,adoptedAt,returnedAt,returnReason');
+      expect(lines).to.have.lengthOf(3);
+      expect(lines[1]).to.include(',Rex,,adopted,owner,,');
+      expect(lines[1]).to.include(',adopter,"We have a big garden, with a fence",');
+    });
+
+    it('should keep free text from running as a spreadsheet formula', async () => {
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ name: 'Lucky', breed: '=HYPERLINK("http://example.com")', description: 'A lovely dog' });
+
+      const response = await exportDogs('/api/dogs/registered/export').expect(200);
+
+      expect(response.body).to.include(',Lucky,"\'=HYPERLINK(""http://example.com"")",');
+    });
+
+    it('should honor the status filter and export JSON', async () => {
+      const response = await exportDogs('/api/dogs/registered/export?status=adopted&format=json').expect(200);
+      const { data } = JSON.parse(response.body);
+
+      expect(data.totalRecords).to.equal(1);
+      expect(data.records[0].name).to.equal('Rex');
+      expect(data.records[0].adopter).to.equal('adopter');
+      expect(data.records[0].adoptedAt).to.be.a('string');
+    });
+
+    it('should list returned adoptions as their own records', async () => {
+      await request(app)
+        .post(`/api/dogs/${adoptedDogId}/return`)
+        .set('Authorization', `Bearer ${adopterToken}`)
+        .send({ reason: 'Moving abroad' });
+
+      const response = await exportDogs('/api/dogs/registered/export?format=json').expect(200);
+      const { records } = JSON.parse(response.body).data;
+      const rex = records.filter(record => record.name === 'Rex');
+
+      expect(rex).to.have.lengthOf(1);
+      expect(rex[0].status).to.equal('available');
+      expect(rex[0].returnReason).to.equal('Moving abroad');
+    });
+
+    it('should validate the format', async () => {
+      await request(app)
+        .get('/api/dogs/registered/export?format=xml')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/dogs/adopted/export', () => {
+    it('should export only the current user\'s adoptions', async () => {
+      const response = await exportDogs('/api/dogs/adopted/export?format=json', adopterToken).expect(200);
+      const { records } = JSON.parse(response.body).data;
+
+      expect(records).to.have.lengthOf(1);
+      expect(records[0].owner).to.equal('owner');
+      expect(records[0].adoptionMessage).to.equal('We have a big garden, with a fence');
+
+      const ownerResponse = await exportDogs('/api/dogs/adopted/export?format=json').expect(200);
+      expect(JSON.parse(ownerResponse.body).data.records).to.have.lengthOf(0);
+    });
+  });
+});
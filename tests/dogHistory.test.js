@@ -0,0 +1,127 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const DogEvent = require('../models/DogEvent');
+const AdoptionApplication = require('../models/AdoptionApplication');
+
+describe('Dog History Endpoints', () => {
+  let server;
+  let ownerToken, adopterToken, adminToken;
+  let dogId;
+
+  const history = (token, id = dogId) => {
+    return request(app)
+      .get(`/api/dogs/${id}/history`)
+      .set('Authorization', `Bearer ${token}`);
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await DogEvent.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'owner', password: 'password123' });
+
+    const adopterResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'adopter', password: 'password123' });
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'admin', password: 'password123' });
+
+    ownerToken = ownerResponse.body.data.token;
+    adopterToken = adopterResponse.body.data.token;
+    adminToken = adminResponse.body.data.token;
+    await User.updateOne({ _id: adminResponse.body.data.user.id }, { role: 'admin' });
+
+    const dogResponse = await request(app)
+      .post('/api/dogs')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Buddy', description: 'A friendly golden retriever', size: 'large' });
+
+    dogId = dogResponse.body.data.dog._id;
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await DogEvent.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  it('should record creation and adoption with before and after values', async () => {
+    const applyResponse = await request(app)
+      .put(`/api/dogs/${dogId}/adopt`)
+      .set('Authorization', `Bearer ${adopterToken}`)
+      .send({});
+
+    await request(app)
+      .put(`/api/applications/${applyResponse.body.data.application._id}/approve`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({});
+
+    const response = await history(ownerToken).expect(200);
+    const [adopted, created] = response.body.data.events;
+
+    expect(created.type).to.equal('created');
+    expect(created.actor.username).to.equal('owner');
+    expect(created.after.size).to.equal('large');
+
+    expect(adopted.type).to.equal('adopted');
+    expect(adopted.before.status).to.equal('available');
+    expect(adopted.after.status).to.equal('adopted');
+    expect(adopted.after.adopter).to.be.a('string');
+    expect(adopted.before).to.not.have.property('name');
+  });
+
+  it('should keep the history of removed dogs for admins', async () => {
+    await request(app)
+      .delete(`/api/admin/dogs/${dogId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const response = await history(adminToken).expect(200);
+
+    expect(response.body.data.events[0].type).to.equal('removed');
+    expect(response.body.data.events[0].note).to.equal('Listing removed by a moderator');
+
+    await history(ownerToken).expect(404);
+  });
+
+  it('should hide the history from other users', async () => {
+    await history(adopterToken).expect(403);
+  });
+
+  it('should not allow events to be changed', async () => {
+    const event = await DogEvent.findOne({ dog: dogId });
+    event.note = 'Rewritten';
+
+    let error;
+    try {
+      await event.save();
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.message).to.equal('Dog history events cannot be modified');
+  });
+});
@@ -0,0 +1,181 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const DogEvent = require('../models/DogEvent');
+const DogImport = require('../models/DogImport');
+const Organization = require('../models/Organization');
+
+describe('Dog Import Endpoints', () => {
+  let server;
+  let ownerToken, otherToken;
+
+  const CSV = [
+    'name,description,breed,size,houseTrained,location.lat,location.lng',
+    'Rex,"A calm, friendly dog",Labrador,large,true,51.5,-0.12',
+    'Bella,Loves walks,,small,,,',
+    ',Missing a name,,gigantic,,,'
+  ].join('\n');
+
+  const importCsv = (csv, query = '', token = ownerToken) => {
+    return request(app)
+      .post(`/api/dogs/import${query}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await DogEvent.deleteMany({});
+    await DogImport.deleteMany({});
+    await Organization.deleteMany({});
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'shelter', password: 'password123' });
+
+    const otherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'other', password: 'password123' });
+
+    ownerToken = ownerResponse.body.data.token;
+    otherToken = otherResponse.body.data.token;
+
+    // Bulk imports are for shelter staff
+    await User.updateMany({}, { role: 'staff' });
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await DogEvent.deleteMany({});
+    await DogImport.deleteMany({});
+    await Organization.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('POST /api/dogs/import', () => {
+    it('should report per-row errors on a dry run without listing dogs', async () => {
+      const response = await importCsv(CSV, '?dryRun=true').expect(200);
+      const { dogImport } = response.body.data;
+
+      expect(response.body.message).to.equal('Dry run: 2 of 3 dogs are valid');
+      expect(dogImport.dryRun).to.be.true;
+      expect(dogImport.rows.map(row => row.status)).to.deep.equal(['valid', 'valid', 'invalid']);
+      expect(dogImport.rows[2].issues.map(issue => issue.field)).to.include.members(['name', 'size']);
+      expect(await Dog.countDocuments()).to.equal(0);
+    });
+
+    it('should import the valid rows of a CSV file', async () => {
+      const response = await importCsv(CSV).expect(201);
+      const { dogImport } = response.body.data;
+
+      expect(response.body.message).to.equal('Imported 2 of 3 dogs');
+      expect(dogImport.importedRows).to.equal(2);
+      expect(dogImport.rows[0].status).to.equal('imported');
+
+      const rex = await Dog.findById(dogImport.rows[0].dog);
+      expect(rex.description).to.equal('A calm, friendly dog');
+      expect(rex.houseTrained).to.be.true;
+      expect(rex.location.point.coordinates).to.deep.equal([-0.12, 51.5]);
+
+      const events = await DogEvent.find({ dog: rex._id });
+      expect(events.map(event => event.type)).to.deep.equal(['created']);
+    });
+
+    it('should import a JSON array of dogs', async () => {
+      const response = await request(app)
+        .post('/api/dogs/import')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ dogs: [{ name: 'Max', description: 'Good boy', age: 2 }, { name: 'Nameless' }] })
+        .expect(201);
+
+      expect(response.body.data.dogImport.format).to.equal('json');
+      expect(response.body.data.dogImport.rows[1].issues[0].field).to.equal('description');
+      expect(await Dog.countDocuments({ name: 'Max' })).to.equal(1);
+    });
+
+    it('should reject imports without dogs', async () => {
+      const response = await request(app)
+        .post('/api/dogs/import')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.message).to.equal('Send dogs as a JSON "dogs" array or as a text/csv file');
+    });
+
+    it('should reject CSV headers that reach the object prototype', async () => {
+      for (const column of ['__proto__.isAdmin', 'constructor.prototype.isAdmin']) {
+        const response = await importCsv(`name,description,${column}\nRex,A dog,yes`).expect(400);
+
+        expect(response.body.message).to.equal(`Invalid CSV column "${column}"`);
+        expect(({}).isAdmin).to.be.undefined;
+      }
+      expect(await Dog.countDocuments()).to.equal(0);
+    });
+
+    it('should not let adopters import', async () => {
+      await User.updateOne({ username: 'other' }, { role: 'adopter' });
+
+      await importCsv(CSV, '', otherToken).expect(403);
+    });
+
+    it('should only import for organizations the user manages', async () => {
+      const orgResponse = await request(app)
+        .post('/api/organizations')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ name: 'Happy Paws Shelter' });
+      const organizationId = orgResponse.body.data.organization._id;
+
+      await importCsv(CSV, `?organization=${organizationId}`, otherToken).expect(403);
+
+      const response = await importCsv(CSV, `?organization=${organizationId}`).expect(201);
+      const dog = await Dog.findById(response.body.data.dogImport.rows[0].dog);
+      expect(dog.organization.toString()).to.equal(organizationId);
+    });
+  });
+
+  describe('GET /api/dogs/imports/:id/report', () => {
+    it('should download the report as CSV', async () => {
+      const imported = await importCsv(CSV, '?dryRun=true');
+
+      const response = await request(app)
+        .get(`${imported.body.data.reportUrl}?format=csv`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).to.include('text/csv');
+      expect(response.headers['content-disposition']).to.include('attachment');
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).to.equal('row,name,status,dog,issues');
+      expect(lines).to.have.lengthOf(4);
+      expect(lines[3]).to.include('size: Size must be one of');
+    });
+
+    it('should not show other users\' reports', async () => {
+      const imported = await importCsv(CSV, '?dryRun=true');
+
+      await request(app)
+        .get(imported.body.data.reportUrl)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const DogEvent = require('../models/DogEvent');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Dog Removal Endpoints', () => {
+  let server;
+  let ownerToken, otherToken, adminToken;
+  let dogId;
+
+  const removeDog = (reason) => {
+    return request(app)
+      .delete(`/api/dogs/${dogId}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send(reason ? { reason } : {});
+  };
+
+  const restoreDog = (token = ownerToken) => {
+    return request(app)
+      .post(`/api/dogs/${dogId}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+  };
+
+  const removedDaysAgo = (days) => {
+    return Dog.updateOne({ _id: dogId }, { removedAt: new Date(Date.now() - days * DAY_MS) });
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await DogEvent.deleteMany({});
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'owner', password: 'password123' });
+
+    const otherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'other', password: 'password123' });
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'admin', password: 'password123' });
+
+    ownerToken = ownerResponse.body.data.token;
+    otherToken = otherResponse.body.data.token;
+    adminToken = adminResponse.body.data.token;
+    await User.updateOne({ _id: adminResponse.body.data.user.id }, { role: 'admin' });
+
+    const dogResponse = await request(app)
+      .post('/api/dogs')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Buddy', description: 'A friendly golden retriever' });
+
+    dogId = dogResponse.body.data.dog._id;
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await DogEvent.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('DELETE /api/dogs/:id', () => {
+    it('should hide the dog but keep its record', async () => {
+      await removeDog('Found a home elsewhere').expect(200);
+
+      const list = await request(app)
+        .get('/api/dogs')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(list.body.data.dogs).to.have.lengthOf(0);
+      expect(list.body.data.pagination.totalDogs).to.equal(0);
+
+      await request(app)
+        .get(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+
+      const dog = await Dog.findById(dogId);
+      expect(dog.removedReason).to.equal('Found a home elsewhere');
+    });
+
+    it('should list removed dogs for their owner on request', async () => {
+      await removeDog();
+
+      const response = await request(app)
+        .get('/api/dogs/registered?removed=true')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.data.dogs).to.have.lengthOf(1);
+      expect(response.body.data.dogs[0].removedReason).to.equal('Dog was removed');
+    });
+  });
+
+  describe('POST /api/dogs/:id/restore', () => {
+    it('should restore a removed dog within the grace period', async () => {
+      await removeDog();
+
+      const response = await restoreDog().expect(200);
+
+      expect(response.body.data.dog.removedAt).to.be.null;
+
+      const events = await DogEvent.find({ dog: dogId }).sort({ _id: 1 });
+      expect(events.map(event => event.type)).to.deep.equal(['created', 'removed', 'restored']);
+    });
+
+    it('should refuse once the grace period has passed', async () => {
+      await removeDog();
+      await removedDaysAgo(31);
+
+      const response = await restoreDog().expect(400);
+
+      expect(response.body.message).to.equal('Dogs can only be restored within 30 days of removal');
+    });
+
+    it('should only let the owner restore', async () => {
+      await removeDog();
+
+      await restoreDog(otherToken).expect(403);
+    });
+
+    it('should not let the owner undo a moderator removal', async () => {
+      await request(app)
+        .delete(`/api/admin/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await restoreDog().expect(403);
+
+      expect(response.body.message).to.equal('Dogs removed by a moderator cannot be restored');
+      const dog = await Dog.findById(dogId);
+      expect(dog.removedAt).to.not.be.null;
+    });
+
+    it('should return 404 for dogs that were not removed', async () => {
+      await restoreDog().expect(404);
+    });
+  });
+
+  describe('POST /api/admin/dogs/purge', () => {
+    it('should delete dogs removed before the retention period', async () => {
+      await removeDog();
+
+      const early = await request(app)
+        .post('/api/admin/dogs/purge')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(early.body.data.purged).to.equal(0);
+
+      await removedDaysAgo(91);
+
+      const response = await request(app)
+        .post('/api/admin/dogs/purge')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.purged).to.equal(1);
+      expect(await Dog.findById(dogId)).to.be.null;
+      expect(await DogEvent.exists({ dog: dogId, type: 'purged' })).to.not.be.null;
+    });
+
+    it('should forbid regular users', async () => {
+      await request(app)
+        .post('/api/admin/dogs/purge')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -4,12 +4,26 @@ const mongoose = require('mongoose');
 const app = require('../app');
 const User = require('../models/User');
 const Dog = require('../models/Dog');
+const AdoptionApplication = require('../models/AdoptionApplication');
 
 describe('Dog Management Endpoints', () => {
   let server;
   let user1Token, user2Token;
   let user1Id, user2Id;
 
+  // Apply as the adopter, then approve as the owner
+  const adopt = async (dogId, adopterToken, ownerToken, message) => {
+    const applyResponse = await request(app)
+      .put(`/api/dogs/${dogId}/adopt`)
+      .set('Authorization', `Bearer ${adopterToken}`)
+      .send({ message });
+
+    return request(app)
+      .put(`/api/applications/${applyResponse.body.data.application._id}/approve`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({});
+  };
+
   before(async () => {
     // Connect to test database
     if (mongoose.connection.readyState === 0) {
@@ -22,6 +36,7 @@ describe('Dog Management Endpoints', () => {
     // Clean up data before each test
     await User.deleteMany({});
     await Dog.deleteMany({});
+    await AdoptionApplication.deleteMany({});
 
     // Create test users
     const user1Response = await request(app)
@@ -41,6 +56,7 @@ describe('Dog Management Endpoints', () => {
   after(async () => {
     await User.deleteMany({});
     await Dog.deleteMany({});
+    await AdoptionApplication.deleteMany({});
     if (server) server.close();
     if (mongoose.connection.readyState !== 0) {
       await mongoose.connection.close();
@@ -67,6 +83,44 @@ describe('Dog Management Endpoints', () => {
       expect(response.body.data.dog.status).to.equal('available');
     });
 
+    it('should register a dog with profile attributes', async () => {
+      const dogData = {
+        name: 'Rex',
+        description: 'A calm senior shepherd',
+        breed: 'German Shepherd',
+        age: 8,
+        size: 'large',
+        sex: 'male',
+        energyLevel: 'low',
+        houseTrained: true,
+        goodWithKids: true,
+        goodWithCats: false
+      };
+
+      const response = await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send(dogData)
+        .expect(201);
+
+      const dog = response.body.data.dog;
+      expect(dog.breed).to.equal('German Shepherd');
+      expect(dog.size).to.equal('large');
+      expect(dog.goodWithCats).to.equal(false);
+      expect(dog.birthDate).to.be.a('string');
+    });
+
+    it('should validate attribute values', async () => {
+      const response = await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Rex', description: 'A dog', size: 'huge', goodWithKids: 'sometimes' })
+        .expect(400);
+
+      expect(response.body.success).to.be.false;
+      expect(response.body.errors).to.have.lengthOf(2);
+    });
+
     it('should require authentication', async () => {
       const dogData = {
         name: 'Buddy',
@@ -109,7 +163,7 @@ describe('Dog Management Endpoints', () => {
       dogId = dogResponse.body.data.dog._id;
     });
 
-    it('should adopt a dog successfully', async () => {
+    it('should submit an adoption application', async () => {
       const adoptionData = {
         message: 'Thank you for taking care of this lovely dog!'
       };
@@ -118,12 +172,32 @@ describe('Dog Management Endpoints', () => {
         .put(`/api/dogs/${dogId}/adopt`)
         .set('Authorization', `Bearer ${user2Token}`)
         .send(adoptionData)
-        .expect(200);
+        .expect(201);
 
       expect(response.body.success).to.be.true;
-      expect(response.body.message).to.equal('Dog adopted successfully');
-      expect(response.body.data.dog.status).to.equal('adopted');
-      expect(response.body.data.dog.adoptionMessage).to.equal(adoptionData.message);
+      expect(response.body.message).to.equal('Adoption application submitted');
+      expect(response.body.data.application.status).to.equal('pending');
+      expect(response.body.data.application.message).to.equal(adoptionData.message);
+
+      // The dog stays available until the owner approves
+      const dog = await Dog.findById(dogId);
+      expect(dog.status).to.equal('available');
+    });
+
+    it('should not submit two pending applications for the same dog', async () => {
+      await request(app)
+        .put(`/api/dogs/${dogId}/adopt`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ message: 'First application' });
+
+      const response = await request(app)
+        .put(`/api/dogs/${dogId}/adopt`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ message: 'Second application' })
+        .expect(400);
+
+      expect(response.body.success).to.be.false;
+      expect(response.body.message).to.equal('You already have a pending application for this dog');
     });
 
     it('should not allow owner to adopt their own dog', async () => {
@@ -139,10 +213,7 @@ describe('Dog Management Endpoints', () => {
 
     it('should not adopt already adopted dog', async () => {
       // First adoption
-      await request(app)
-        .put(`/api/dogs/${dogId}/adopt`)
-        .set('Authorization', `Bearer ${user2Token}`)
-        .send({ message: 'First adoption' });
+      await adopt(dogId, user2Token, user1Token, 'First adoption');
 
       // Try second adoption
       const response = await request(app)
@@ -156,6 +227,96 @@ describe('Dog Management Endpoints', () => {
     });
   });
 
+  describe('PATCH /api/dogs/:id', () => {
+    let dogId;
+
+    beforeEach(async () => {
+      const dogResponse = await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'EditDog', description: 'A dog with a typo in its descriptoin', size: 'small' });
+
+      dogId = dogResponse.body.data.dog._id;
+    });
+
+    it('should update editable fields and keep the id', async () => {
+      const response = await request(app)
+        .patch(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ description: 'A dog with a fixed description', size: 'medium', status: 'adopted' })
+        .expect(200);
+
+      expect(response.body.data.dog._id).to.equal(dogId);
+      expect(response.body.data.dog.description).to.equal('A dog with a fixed description');
+      expect(response.body.data.dog.size).to.equal('medium');
+      expect(response.body.data.dog.status).to.equal('available');
+      expect(response.body.data.dog.owner.username).to.equal('user1');
+    });
+
+    it('should validate fields like registration does', async () => {
+      const response = await request(app)
+        .patch(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: '', size: 'gigantic' })
+        .expect(400);
+
+      expect(response.body.message).to.equal('Validation failed');
+    });
+
+    it('should merge a partial location into the one on file', async () => {
+      await request(app)
+        .patch(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ location: { lat: 51.5074, lng: -0.1278, city: 'London', postcode: 'SW1A 1AA' } })
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ location: { lat: 51.752, lng: -1.2577 } })
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ location: { city: 'Oxford' } })
+        .expect(200);
+
+      const { location } = response.body.data.dog;
+      expect(location.city).to.equal('Oxford');
+      expect(location.postcode).to.equal('SW1A 1AA');
+      expect(location.point.coordinates).to.deep.equal([-1.2577, 51.752]);
+    });
+
+    it('should not let other users edit the dog', async () => {
+      const response = await request(app)
+        .patch(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ name: 'Stolen' })
+        .expect(403);
+
+      expect(response.body.message).to.equal('You can only edit dogs that you registered');
+    });
+
+    it('should only allow description edits once adopted', async () => {
+      await adopt(dogId, user2Token, user1Token, 'Thank you!');
+
+      await request(app)
+        .patch(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Renamed' })
+        .expect(400);
+
+      const response = await request(app)
+        .patch(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ description: 'Happily adopted' })
+        .expect(200);
+
+      expect(response.body.data.dog.adopter.username).to.equal('user2');
+    });
+  });
+
   describe('DELETE /api/dogs/:id', () => {
     let dogId;
 
@@ -194,10 +355,7 @@ describe('Dog Management Endpoints', () => {
 
     it('should not remove adopted dog', async () => {
       // First adopt the dog
-      await request(app)
-        .put(`/api/dogs/${dogId}/adopt`)
-        .set('Authorization', `Bearer ${user2Token}`)
-        .send({ message: 'Adopting this dog' });
+      await adopt(dogId, user2Token, user1Token, 'Adopting this dog');
 
       // Try to remove adopted dog
       const response = await request(app)
@@ -278,10 +436,7 @@ describe('Dog Management Endpoints', () => {
 
       dogId = dogResponse.body.data.dog._id;
 
-      await request(app)
-        .put(`/api/dogs/${dogId}/adopt`)
-        .set('Authorization', `Bearer ${user2Token}`)
-        .send({ message: 'Thank you!' });
+      await adopt(dogId, user2Token, user1Token, 'Thank you!');
     });
 
     it('should get user\'s adopted dogs', async () => {
@@ -307,6 +462,78 @@ describe('Dog Management Endpoints', () => {
     });
   });
 
+  describe('POST /api/dogs/:id/return', () => {
+    let dogId;
+
+    beforeEach(async () => {
+      const dogResponse = await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'ReturnedDog', description: 'Will come back' });
+
+      dogId = dogResponse.body.data.dog._id;
+
+      await adopt(dogId, user2Token, user1Token, 'Thank you!');
+    });
+
+    it('should let the adopter return the dog and relist it', async () => {
+      const response = await request(app)
+        .post(`/api/dogs/${dogId}/return`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ reason: 'Allergic to dog hair' })
+        .expect(200);
+
+      expect(response.body.data.dog.status).to.equal('available');
+      expect(response.body.data.dog.adopter).to.be.null;
+      expect(response.body.data.dog.pastAdoptions).to.have.lengthOf(1);
+      expect(response.body.data.dog.pastAdoptions[0].reason).to.equal('Allergic to dog hair');
+    });
+
+    it('should keep past adoptions out of the current list', async () => {
+      await request(app)
+        .post(`/api/dogs/${dogId}/return`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ reason: 'Adopter moved abroad' })
+        .expect(200);
+
+      const current = await request(app)
+        .get('/api/dogs/adopted')
+        .set('Authorization', `Bearer ${user2Token}`)
+        .expect(200);
+
+      const past = await request(app)
+        .get('/api/dogs/adopted?scope=past')
+        .set('Authorization', `Bearer ${user2Token}`)
+        .expect(200);
+
+      expect(current.body.data.dogs).to.have.lengthOf(0);
+      expect(past.body.data.dogs).to.have.lengthOf(1);
+    });
+
+    it('should only return adopted dogs', async () => {
+      await request(app)
+        .post(`/api/dogs/${dogId}/return`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ reason: 'Allergic to dog hair' });
+
+      const response = await request(app)
+        .post(`/api/dogs/${dogId}/return`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ reason: 'Again' })
+        .expect(400);
+
+      expect(response.body.message).to.equal('Only adopted dogs can be returned');
+    });
+
+    it('should require a reason', async () => {
+      await request(app)
+        .post(`/api/dogs/${dogId}/return`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({})
+        .expect(400);
+    });
+  });
+
   describe('GET /api/dogs', () => {
     beforeEach(async () => {
       // Create some available dogs
@@ -321,10 +548,7 @@ describe('Dog Management Endpoints', () => {
         .send({ name: 'Available2', description: 'Available dog 2' });
 
       // Adopt one dog
-      await request(app)
-        .put(`/api/dogs/${dogResponse.body.data.dog._id}/adopt`)
-        .set('Authorization', `Bearer ${user2Token}`)
-        .send({ message: 'Adopting this one' });
+      await adopt(dogResponse.body.data.dog._id, user2Token, user1Token, 'Adopting this one');
     });
 
     it('should get only available dogs', async () => {
@@ -339,5 +563,280 @@ describe('Dog Management Endpoints', () => {
         expect(dog.status).to.equal('available');
       });
     });
+
+    it('should filter on any combination of attributes', async () => {
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Pup', description: 'Young and lively', size: 'small', age: 1, goodWithKids: true });
+
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Senior', description: 'Old and calm', size: 'small', age: 10, goodWithKids: true });
+
+      const response = await request(app)
+        .get('/api/dogs?size=small,medium&goodWithKids=true&maxAge=3')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      expect(response.body.data.dogs).to.have.lengthOf(1);
+      expect(response.body.data.dogs[0].name).to.equal('Pup');
+      expect(response.body.data.pagination.totalDogs).to.equal(1);
+    });
+
+    it('should accept repeated list filters and reject other repeated filters', async () => {
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Pup', description: 'Young and lively', size: 'small', breed: 'Beagle' });
+
+      const response = await request(app)
+        .get('/api/dogs?size=small&size=large')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      expect(response.body.data.dogs.map(dog => dog.name)).to.deep.equal(['Pup']);
+
+      const repeated = await request(app)
+        .get('/api/dogs?breed=Beagle&breed=Boxer')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(400);
+
+      expect(repeated.body.errors[0].msg).to.equal('breed must be given once');
+    });
+
+    it('should search listings by text with highlights', async () => {
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Goldie', description: 'Loves long walks on the beach', breed: 'Golden Retriever' });
+
+      const response = await request(app)
+        .get('/api/dogs?q=retriever')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      expect(response.body.data.dogs).to.have.lengthOf(1);
+      expect(response.body.data.dogs[0].name).to.equal('Goldie');
+      expect(response.body.data.dogs[0].score).to.be.a('number');
+      expect(response.body.data.dogs[0].highlights.breed).to.equal('Golden <mark>Retriever</mark>');
+    });
+
+    it('should match quoted phrases', async () => {
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Goldie', description: 'Loves long walks on the beach' });
+
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Shorty', description: 'Walks are long enough when short' });
+
+      const response = await request(app)
+        .get('/api/dogs')
+        .query({ q: '"long walks"' })
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      expect(response.body.data.dogs).to.have.lengthOf(1);
+      expect(response.body.data.dogs[0].highlights.description).to.include('<mark>long walks</mark>');
+    });
+
+    it('should reject a repeated search query', async () => {
+      const response = await request(app)
+        .get('/api/dogs?q=retriever&q=beagle')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(400);
+
+      expect(response.body.errors[0].msg).to.equal('q must be given once');
+    });
+
+    it('should escape markup in highlighted snippets', async () => {
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Sneaky', description: '<img src=x onerror=alert(1)> likes fetch' });
+
+      const response = await request(app)
+        .get('/api/dogs')
+        .query({ q: 'fetch' })
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      expect(response.body.data.dogs[0].highlights.description)
+        .to.equal('&lt;img src=x onerror=alert(1)&gt; likes <mark>fetch</mark>');
+    });
+
+    it('should list nearby dogs sorted by distance', async () => {
+      // Central London, Oxford and Edinburgh
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Oxford', description: 'Oxford dog', location: { lat: 51.752, lng: -1.2577, city: 'Oxford' } });
+
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'London', description: 'London dog', location: { lat: 51.5074, lng: -0.1278, city: 'London' } });
+
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Edinburgh', description: 'Edinburgh dog', location: { lat: 55.9533, lng: -3.1883 } });
+
+      const response = await request(app)
+        .get('/api/dogs?lat=51.5&lng=-0.12&radiusKm=100')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      const dogs = response.body.data.dogs;
+      expect(dogs.map(dog => dog.name)).to.deep.equal(['London', 'Oxford']);
+      expect(dogs[0].distanceKm).to.be.below(dogs[1].distanceKm);
+      expect(dogs[0].owner.username).to.equal('user1');
+      expect(response.body.data.pagination.totalDogs).to.equal(2);
+
+      // Same shape as a regular listing page, plus the distance
+      const listing = await request(app)
+        .get('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+      const listedDog = listing.body.data.dogs.find(dog => dog.name === 'London');
+      const { distanceKm, ...nearbyDog } = dogs[0];
+      expect(distanceKm).to.be.a('number');
+      expect(nearbyDog).to.have.all.keys(Object.keys(listedDog));
+    });
+
+    it('should require lat and lng together', async () => {
+      const response = await request(app)
+        .get('/api/dogs?lat=51.5')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(400);
+
+      expect(response.body.errors[0].msg).to.equal('lat and lng must be provided together');
+    });
+
+    it('should reject a repeated location', async () => {
+      const response = await request(app)
+        .get('/api/dogs?lat=51.5&lat=52&lng=-0.12')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(400);
+
+      expect(response.body.errors[0].msg).to.equal('lat must be given once');
+    });
+
+    it('should reject unknown filter values', async () => {
+      const response = await request(app)
+        .get('/api/dogs?energyLevel=extreme')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(400);
+
+      expect(response.body.message).to.equal('Validation failed');
+    });
+
+    it('should sort by name', async () => {
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'bella', description: 'Lowercase name' });
+
+      const response = await request(app)
+        .get('/api/dogs?sort=name')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      expect(response.body.data.dogs.map(dog => dog.name)).to.deep.equal(['Available1', 'bella']);
+    });
+
+    it('should reject a repeated sort', async () => {
+      const response = await request(app)
+        .get('/api/dogs?sort=name&sort=oldest')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(400);
+
+      expect(response.body.errors[0].msg).to.equal('sort must be given once');
+    });
+
+    it('should page through dogs with a cursor without repeats', async () => {
+      for (const name of ['Cursor1', 'Cursor2', 'Cursor3']) {
+        await request(app)
+          .post('/api/dogs')
+          .set('Authorization', `Bearer ${user1Token}`)
+          .send({ name, description: 'Paged dog' });
+      }
+
+      const first = await request(app)
+        .get('/api/dogs?sort=oldest&limit=2')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      expect(first.body.data.pagination.hasNextPage).to.be.true;
+      const { nextCursor } = first.body.data.pagination;
+      expect(nextCursor).to.be.a('string');
+
+      // A dog listed mid-scroll must not push earlier dogs onto the next page
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Latecomer', description: 'Listed while paging' });
+
+      const second = await request(app)
+        .get(`/api/dogs?sort=oldest&limit=2&cursor=${nextCursor}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(200);
+
+      const names = [...first.body.data.dogs, ...second.body.data.dogs].map(dog => dog.name);
+      expect(names).to.deep.equal(['Available1', 'Cursor1', 'Cursor2', 'Cursor3']);
+      expect(second.body.data.pagination.currentPage).to.be.null;
+      expect(second.body.data.pagination.hasNextPage).to.be.true;
+    });
+
+    it('should only accept a cursor with the sort it came from', async () => {
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ name: 'Another', description: 'Second available dog' });
+
+      const first = await request(app)
+        .get('/api/dogs?limit=1&sort=newest')
+        .set('Authorization', `Bearer ${user1Token}`);
+
+      const mismatch = await request(app)
+        .get(`/api/dogs?sort=name&cursor=${first.body.data.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(400);
+
+      expect(mismatch.body.message).to.equal('Cursor does not match the requested sort');
+
+      await request(app)
+        .get('/api/dogs?cursor=not-a-cursor')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(400);
+    });
+
+    it('should reject forged cursors', async () => {
+      const forge = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+      const id = new mongoose.Types.ObjectId().toString();
+
+      await request(app)
+        .get(`/api/dogs?q=buddy&cursor=${forge({ s: 'relevance', v: 1, id })}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(400);
+
+      await request(app)
+        .get(`/api/dogs?sort=name&cursor=${forge({ s: 'name', v: { $ne: null }, id })}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(400);
+    });
+
+    it('should only sort by distance around a location', async () => {
+      const response = await request(app)
+        .get('/api/dogs?sort=distance')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .expect(400);
+
+      expect(response.body.message).to.equal('Sorting by distance requires lat and lng');
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,186 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const Favorite = require('../models/Favorite');
+const AdoptionApplication = require('../models/AdoptionApplication');
+
+describe('Favorite Endpoints', () => {
+  let server;
+  let ownerToken, adopterToken, watcherToken, adminToken;
+  let dogId;
+
+  const favorite = (token, id = dogId) => {
+    return request(app)
+      .post(`/api/dogs/${id}/favorite`)
+      .set('Authorization', `Bearer ${token}`);
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await Favorite.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'owner', password: 'password123' });
+
+    const adopterResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'adopter', password: 'password123' });
+
+    const watcherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'watcher', password: 'password123' });
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'admin', password: 'password123' });
+
+    ownerToken = ownerResponse.body.data.token;
+    adopterToken = adopterResponse.body.data.token;
+    watcherToken = watcherResponse.body.data.token;
+    adminToken = adminResponse.body.data.token;
+    await User.updateOne({ _id: adminResponse.body.data.user.id }, { role: 'admin' });
+
+    const dogResponse = await request(app)
+      .post('/api/dogs')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Buddy', description: 'A friendly golden retriever' });
+
+    dogId = dogResponse.body.data.dog._id;
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await Favorite.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('POST /api/dogs/:id/favorite', () => {
+    it('should favorite a dog and count it once', async () => {
+      const response = await favorite(watcherToken).expect(201);
+      expect(response.body.data.favoritesCount).to.equal(1);
+
+      await favorite(watcherToken).expect(200);
+      await favorite(adopterToken).expect(201);
+
+      const dogResponse = await request(app)
+        .get(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(dogResponse.body.data.dog.favoritesCount).to.equal(2);
+    });
+
+    it('should return 404 for unknown dogs', async () => {
+      await favorite(watcherToken, new mongoose.Types.ObjectId()).expect(404);
+    });
+  });
+
+  describe('DELETE /api/dogs/:id/favorite', () => {
+    it('should unfavorite a dog', async () => {
+      await favorite(watcherToken);
+
+      await request(app)
+        .delete(`/api/dogs/${dogId}/favorite`)
+        .set('Authorization', `Bearer ${watcherToken}`)
+        .expect(200);
+
+      const dog = await Dog.findById(dogId);
+      expect(dog.favoritesCount).to.equal(0);
+    });
+  });
+
+  describe('GET /api/dogs/favorites', () => {
+    it('should list favorites with pagination', async () => {
+      await favorite(watcherToken);
+
+      const response = await request(app)
+        .get('/api/dogs/favorites?page=1&limit=10')
+        .set('Authorization', `Bearer ${watcherToken}`)
+        .expect(200);
+
+      expect(response.body.data.favorites).to.have.lengthOf(1);
+      expect(response.body.data.favorites[0].dog.name).to.equal('Buddy');
+      expect(response.body.data.favorites[0].availability).to.equal('available');
+      expect(response.body.data.favorites[0].isUnavailable).to.be.false;
+      expect(response.body.data.pagination.totalDogs).to.equal(1);
+    });
+
+    it('should flag favorites whose dog was adopted', async () => {
+      await favorite(watcherToken);
+
+      const applyResponse = await request(app)
+        .put(`/api/dogs/${dogId}/adopt`)
+        .set('Authorization', `Bearer ${adopterToken}`)
+        .send({});
+
+      await request(app)
+        .put(`/api/applications/${applyResponse.body.data.application._id}/approve`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({});
+
+      const response = await request(app)
+        .get('/api/dogs/favorites')
+        .set('Authorization', `Bearer ${watcherToken}`)
+        .expect(200);
+
+      expect(response.body.data.favorites[0].availability).to.equal('adopted');
+      expect(response.body.data.favorites[0].isUnavailable).to.be.true;
+    });
+
+    it('should flag favorites whose dog was removed', async () => {
+      await favorite(watcherToken);
+
+      await request(app)
+        .delete(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      const response = await request(app)
+        .get('/api/dogs/favorites')
+        .set('Authorization', `Bearer ${watcherToken}`)
+        .expect(200);
+
+      const [removed] = response.body.data.favorites;
+      expect(removed.availability).to.equal('removed');
+      expect(removed.isUnavailable).to.be.true;
+      expect(removed.dogName).to.equal('Buddy');
+    });
+
+    it('should not show how a favorited dog was removed', async () => {
+      await favorite(watcherToken);
+
+      await request(app)
+        .delete(`/api/admin/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/dogs/favorites')
+        .set('Authorization', `Bearer ${watcherToken}`)
+        .expect(200);
+
+      const [removed] = response.body.data.favorites;
+      expect(removed.availability).to.equal('removed');
+      expect(removed.dog.name).to.equal('Buddy');
+      expect(removed.dog).to.not.have.any.keys('removedReason', 'removedBy', 'moderated');
+    });
+  });
+});
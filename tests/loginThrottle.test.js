@@ -0,0 +1,200 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const { getDelay, setDelay } = require('../services/loginThrottle');
+
+describe('Login Throttling', () => {
+  let server;
+  let originalDelay;
+  let delays;
+  let adminToken, userToken, userId;
+
+  const login = (username, password) => request(app)
+    .post('/api/auth/login')
+    .send({ username, password });
+
+  const failLogins = async (count, username = 'user1') => {
+    for (let i = 0; i < count; i += 1) {
+      await login(username, 'wrongpassword');
+    }
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+
+    // Record the progressive delays instead of waiting them out
+    originalDelay = getDelay();
+    setDelay(async (ms) => {
+      delays.push(ms);
+    });
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    delays = [];
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'admin', password: 'password123' });
+
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'user1', password: 'password123' });
+
+    adminToken = adminResponse.body.data.token;
+    userToken = userResponse.body.data.token;
+    userId = userResponse.body.data.user.id;
+
+    await User.updateOne({ _id: adminResponse.body.data.user.id }, { role: 'admin' });
+  });
+
+  after(async () => {
+    setDelay(originalDelay);
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should slow down each failed login a little more', async () => {
+      await failLogins(4);
+
+      expect(delays).to.deep.equal([250, 500, 1000, 2000]);
+    });
+
+    it('should lock out a username after too many failed logins', async () => {
+      await failLogins(4);
+
+      const response = await login('user1', 'wrongpassword').expect(429);
+
+      expect(response.body.success).to.be.false;
+      expect(response.body.message).to.match(/^Too many failed login attempts/);
+      expect(response.headers['retry-after']).to.exist;
+      expect(response.body.data.retryAfter).to.be.above(0);
+    });
+
+    it('should refuse the right password while locked out', async () => {
+      await failLogins(5);
+
+      await login('user1', 'password123').expect(429);
+    });
+
+    it('should count failures for unknown usernames', async () => {
+      await failLogins(4, 'nobody');
+
+      await login('nobody', 'wrongpassword').expect(429);
+    });
+
+    it('should clear the failure count after a successful login', async () => {
+      await failLogins(4);
+      await login('user1', 'password123').expect(200);
+
+      await login('user1', 'wrongpassword').expect(401);
+      expect(delays[delays.length - 1]).to.equal(250);
+    });
+
+    it('should lock out an address guessing across many usernames', async () => {
+      for (let i = 0; i < 20; i += 1) {
+        await login(`guess${i}`, 'wrongpassword');
+      }
+
+      await login('user1', 'password123').expect(429);
+    });
+
+    it('should let the user in again once the lockout ends', async () => {
+      await failLogins(5);
+      await LoginThrottle.updateMany({}, { lockedUntil: new Date(Date.now() - 1000) });
+
+      await login('user1', 'password123').expect(200);
+    });
+  });
+
+  describe('Password checks on account changes', () => {
+    const changePassword = (currentPassword) => request(app)
+      .put('/api/auth/password')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ currentPassword, newPassword: 'newpassword123' });
+
+    it('should count wrong current passwords as failed logins', async () => {
+      for (let i = 0; i < 4; i += 1) {
+        await changePassword('wrongpassword').expect(400);
+      }
+
+      const response = await changePassword('wrongpassword').expect(429);
+      expect(response.headers['retry-after']).to.exist;
+
+      // The right password is refused too, here and at login
+      await changePassword('password123').expect(429);
+      await login('user1', 'password123').expect(429);
+    });
+
+    it('should throttle the password checks of every account change', async () => {
+      await request(app)
+        .put('/api/auth/email')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ email: 'user1@example.com', password: 'wrongpassword' })
+        .expect(400);
+
+      await request(app)
+        .delete('/api/auth/account')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ password: 'wrongpassword' })
+        .expect(400);
+
+      await request(app)
+        .delete('/api/auth/2fa')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ password: 'wrongpassword' })
+        .expect(400);
+
+      expect(delays).to.deep.equal([250, 500, 1000]);
+    });
+  });
+
+  describe('PUT /api/admin/users/:id/unlock', () => {
+    it('should let an admin lift a lockout', async () => {
+      await failLogins(5);
+
+      const response = await request(app)
+        .put(`/api/admin/users/${userId}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.message).to.equal('User login unlocked');
+      await login('user1', 'password123').expect(200);
+    });
+
+    it('should report when there was nothing to unlock', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${userId}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.message).to.equal('User had no failed logins to clear');
+    });
+
+    it('should not let other users unlock logins', async () => {
+      const userLogin = await login('user1', 'password123').expect(200);
+
+      await request(app)
+        .put(`/api/admin/users/${userId}/unlock`)
+        .set('Authorization', `Bearer ${userLogin.body.data.token}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const AdoptionApplication = require('../models/AdoptionApplication');
+const Favorite = require('../models/Favorite');
+const Notification = require('../models/Notification');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+describe('Notification Endpoints', () => {
+  let server;
+  let ownerToken, adopterToken, watcherToken;
+  let dogId;
+
+  const inbox = (token) => {
+    return request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${token}`);
+  };
+
+  const apply = (token = adopterToken) => {
+    return request(app)
+      .put(`/api/dogs/${dogId}/adopt`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ message: 'I have a big garden' });
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+    await Favorite.deleteMany({});
+    await Notification.deleteMany({});
+    await Conversation.deleteMany({});
+    await Message.deleteMany({});
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'owner', password: 'password123' });
+
+    const adopterResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'adopter', password: 'password123' });
+
+    const watcherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'watcher', password: 'password123' });
+
+    ownerToken = ownerResponse.body.data.token;
+    adopterToken = adopterResponse.body.data.token;
+    watcherToken = watcherResponse.body.data.token;
+
+    const dogResponse = await request(app)
+      .post('/api/dogs')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Buddy', description: 'A friendly golden retriever' });
+
+    dogId = dogResponse.body.data.dog._id;
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+    await Favorite.deleteMany({});
+    await Notification.deleteMany({});
+    await Conversation.deleteMany({});
+    await Message.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('adoption events', () => {
+    it('should tell the owner about new applications', async () => {
+      await apply();
+
+      const response = await inbox(ownerToken).expect(200);
+
+      expect(response.body.data.notifications).to.have.lengthOf(1);
+      expect(response.body.data.notifications[0].type).to.equal('application_submitted');
+      expect(response.body.data.notifications[0].message).to.equal('I have a big garden');
+    });
+
+    it('should tell every applicant about the decision', async () => {
+      const approved = await apply();
+      await apply(watcherToken);
+
+      await request(app)
+        .put(`/api/applications/${approved.body.data.application._id}/approve`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({});
+
+      const adopterInbox = await inbox(adopterToken);
+      const watcherInbox = await inbox(watcherToken);
+
+      expect(adopterInbox.body.data.notifications[0].type).to.equal('application_approved');
+      expect(watcherInbox.body.data.notifications[0].type).to.equal('application_rejected');
+      expect(watcherInbox.body.data.notifications[0].message).to.equal('Another application was approved');
+    });
+
+    it('should tell users when a favorited dog is removed', async () => {
+      await request(app)
+        .post(`/api/dogs/${dogId}/favorite`)
+        .set('Authorization', `Bearer ${watcherToken}`);
+
+      await request(app)
+        .delete(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      const response = await inbox(watcherToken);
+
+      expect(response.body.data.notifications[0].type).to.equal('favorite_removed');
+    });
+
+    it('should tell the recipient about new messages', async () => {
+      await request(app)
+        .post('/api/conversations')
+        .set('Authorization', `Bearer ${adopterToken}`)
+        .send({ dogId, body: 'Is Buddy good with cats?' });
+
+      const response = await inbox(ownerToken);
+
+      expect(response.body.data.notifications[0].type).to.equal('new_message');
+      expect(response.body.data.notifications[0].title).to.equal('New message from adopter');
+    });
+  });
+
+  describe('read state', () => {
+    it('should count and mark notifications as read', async () => {
+      await apply();
+      await apply(watcherToken);
+
+      const count = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(count.body.data.unreadCount).to.equal(2);
+
+      const list = await inbox(ownerToken);
+      await request(app)
+        .put(`/api/notifications/${list.body.data.notifications[0]._id}/read`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const unread = await request(app)
+        .get('/api/notifications?unread=true')
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(unread.body.data.notifications).to.have.lengthOf(1);
+
+      const all = await request(app)
+        .put('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(all.body.data.markedRead).to.equal(1);
+    });
+
+    it('should not mark other users\' notifications', async () => {
+      await apply();
+      const list = await inbox(ownerToken);
+
+      await request(app)
+        .put(`/api/notifications/${list.body.data.notifications[0]._id}/read`)
+        .set('Authorization', `Bearer ${adopterToken}`)
+        .expect(404);
+    });
+  });
+});
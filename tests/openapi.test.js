@@ -0,0 +1,103 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../app');
+const apiRoutes = require('../routes');
+
+describe('OpenAPI Document', () => {
+  let document;
+
+  before(async () => {
+    const response = await request(app)
+      .get('/api/openapi.json')
+      .expect(200);
+
+    document = response.body;
+  });
+
+  it('should document every mounted API route', () => {
+    const missing = [];
+
+    apiRoutes.forEach(({ path, router }) => {
+      router.stack.filter(layer => layer.route).forEach(({ route }) => {
+        const openApiPath = (path + (route.path === '/' ? '' : route.path)).replace(/:(\w+)/g, '{$1}');
+
+        Object.keys(route.methods).forEach(method => {
+          if (!document.paths[openApiPath] || !document.paths[openApiPath][method]) {
+            missing.push(`${method.toUpperCase()} ${openApiPath}`);
+          }
+        });
+      });
+    });
+
+    expect(missing, 'Routes missing from the OpenAPI document').to.deep.equal([]);
+  });
+
+  it('should give every parameter and body field a type', () => {
+    const untyped = [];
+
+    // Walk object properties and array items down to the leaves
+    const checkSchema = (schema, where) => {
+      if (!schema || !schema.type) {
+        untyped.push(where);
+        return;
+      }
+      Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        checkSchema(property, `${where}.${name}`);
+      });
+      if (schema.type === 'array') {
+        checkSchema(schema.items, `${where}[]`);
+      }
+    };
+
+    Object.entries(document.paths).forEach(([path, operations]) => {
+      Object.entries(operations).forEach(([method, operation]) => {
+        const name = `${method.toUpperCase()} ${path}`;
+
+        expect(operation.summary, `${name} summary`).to.be.a('string').that.is.not.empty;
+        (operation.parameters || []).forEach(parameter => {
+          checkSchema(parameter.schema, `${name} ${parameter.in} ${parameter.name}`);
+        });
+        Object.entries((operation.requestBody || {}).content || {}).forEach(([type, { schema }]) => {
+          checkSchema(schema, `${name} ${type} body`);
+        });
+      });
+    });
+
+    expect(untyped, 'Fields without a type').to.deep.equal([]);
+  });
+
+  it('should describe request bodies', () => {
+    const schema = document.paths['/api/dogs'].post.requestBody.content['application/json'].schema;
+
+    expect(schema.required).to.include.members(['name', 'description']);
+    expect(schema.properties.name.maxLength).to.equal(50);
+    expect(schema.properties.size.enum).to.include('small');
+    expect(schema.properties.location.properties.lat.maximum).to.equal(90);
+
+    const login = document.paths['/api/auth/login'].post.requestBody.content['application/json'].schema;
+    expect(login.properties.username.type).to.equal('string');
+    expect(login.required).to.deep.equal(['username', 'password']);
+  });
+
+  it('should describe query parameters, auth and the response envelope', () => {
+    const listDogs = document.paths['/api/dogs'].get;
+    const limit = listDogs.parameters.find(parameter => parameter.name === 'limit');
+
+    expect(limit).to.include({ in: 'query', required: false });
+    expect(limit.schema.maximum).to.equal(100);
+    expect(listDogs.security).to.deep.equal([{ bearerAuth: [] }]);
+    expect(document.paths['/api/auth/login'].post.security).to.be.undefined;
+
+    expect(document.paths['/api/dogs/registered'].get.security).to.deep.equal([{ bearerAuth: [] }]);
+    expect(document.paths['/api/admin/users'].get.security).to.deep.equal([{ bearerAuth: [] }]);
+    expect(document.components.schemas.SuccessResponse.properties).to.have.keys('success', 'message', 'data');
+  });
+
+  it('should serve the interactive docs', async () => {
+    const response = await request(app)
+      .get('/api/docs/')
+      .expect(200);
+
+    expect(response.text).to.include('swagger-ui');
+  });
+});
@@ -0,0 +1,229 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const Organization = require('../models/Organization');
+const AdoptionApplication = require('../models/AdoptionApplication');
+
+describe('Organization Endpoints', () => {
+  let server;
+  let tokens, ids;
+  let organizationId;
+
+  const register = async (username) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ username, password: 'password123' });
+    tokens[username] = response.body.data.token;
+    ids[username] = response.body.data.user.id;
+  };
+
+  const registerShelterDog = (username, name = 'Buddy') => {
+    return request(app)
+      .post('/api/dogs')
+      .set('Authorization', `Bearer ${tokens[username]}`)
+      .send({ name, description: 'A shelter dog', organization: organizationId });
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await Organization.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+
+    tokens = {};
+    ids = {};
+    await register('shelteradmin');
+    await register('volunteer');
+    await register('viewer');
+    await register('outsider');
+    await User.updateOne({ _id: ids.shelteradmin }, { role: 'staff' });
+
+    const orgResponse = await request(app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${tokens.shelteradmin}`)
+      .send({ name: 'Happy Paws Shelter' });
+
+    organizationId = orgResponse.body.data.organization._id;
+
+    await request(app)
+      .post(`/api/organizations/${organizationId}/members`)
+      .set('Authorization', `Bearer ${tokens.shelteradmin}`)
+      .send({ username: 'volunteer', role: 'member' });
+
+    await request(app)
+      .post(`/api/organizations/${organizationId}/members`)
+      .set('Authorization', `Bearer ${tokens.shelteradmin}`)
+      .send({ username: 'viewer', role: 'viewer' });
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await Organization.deleteMany({});
+    await AdoptionApplication.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('POST /api/organizations', () => {
+    it('should only let staff create organizations', async () => {
+      await request(app)
+        .post('/api/organizations')
+        .set('Authorization', `Bearer ${tokens.outsider}`)
+        .send({ name: 'Another Shelter' })
+        .expect(403);
+    });
+  });
+
+  describe('membership', () => {
+    it('should list the organization with its members', async () => {
+      const response = await request(app)
+        .get(`/api/organizations/${organizationId}`)
+        .set('Authorization', `Bearer ${tokens.volunteer}`)
+        .expect(200);
+
+      const members = response.body.data.organization.members;
+      expect(members).to.have.lengthOf(3);
+      expect(members[0].user.username).to.equal('shelteradmin');
+      expect(members[0].role).to.equal('admin');
+    });
+
+    it('should only let admins add members', async () => {
+      const response = await request(app)
+        .post(`/api/organizations/${organizationId}/members`)
+        .set('Authorization', `Bearer ${tokens.volunteer}`)
+        .send({ username: 'outsider' })
+        .expect(403);
+
+      expect(response.body.message).to.equal('Only organization admins can manage members');
+    });
+
+    it('should keep at least one admin', async () => {
+      const response = await request(app)
+        .delete(`/api/organizations/${organizationId}/members/${ids.shelteradmin}`)
+        .set('Authorization', `Bearer ${tokens.shelteradmin}`)
+        .expect(400);
+
+      expect(response.body.message).to.equal('An organization must keep at least one admin');
+    });
+
+    it('should let a member leave', async () => {
+      await request(app)
+        .delete(`/api/organizations/${organizationId}/members/${ids.volunteer}`)
+        .set('Authorization', `Bearer ${tokens.volunteer}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/organizations/${organizationId}`)
+        .set('Authorization', `Bearer ${tokens.volunteer}`)
+        .expect(404);
+    });
+  });
+
+  describe('shared dog management', () => {
+    it('should register a dog on behalf of the organization', async () => {
+      const response = await registerShelterDog('volunteer').expect(201);
+
+      expect(response.body.data.dog.organization.name).to.equal('Happy Paws Shelter');
+    });
+
+    it('should not let viewers or outsiders register dogs for the organization', async () => {
+      await registerShelterDog('viewer').expect(403);
+      await registerShelterDog('outsider').expect(403);
+    });
+
+    it('should let any managing member remove the organization\'s dogs', async () => {
+      const dogResponse = await registerShelterDog('shelteradmin');
+      const dogId = dogResponse.body.data.dog._id;
+
+      await request(app)
+        .delete(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${tokens.viewer}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${tokens.volunteer}`)
+        .expect(200);
+    });
+
+    it('should take dog management away from removed members', async () => {
+      const dogResponse = await registerShelterDog('volunteer');
+      const dogId = dogResponse.body.data.dog._id;
+
+      await request(app)
+        .delete(`/api/organizations/${organizationId}/members/${ids.volunteer}`)
+        .set('Authorization', `Bearer ${tokens.shelteradmin}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/dogs/${dogId}`)
+        .set('Authorization', `Bearer ${tokens.volunteer}`)
+        .expect(403);
+    });
+
+    it('should let any managing member approve adoptions', async () => {
+      const dogResponse = await registerShelterDog('shelteradmin');
+      const dogId = dogResponse.body.data.dog._id;
+
+      const applyResponse = await request(app)
+        .put(`/api/dogs/${dogId}/adopt`)
+        .set('Authorization', `Bearer ${tokens.outsider}`)
+        .send({ message: 'I would love this dog' });
+
+      await request(app)
+        .put(`/api/applications/${applyResponse.body.data.application._id}/approve`)
+        .set('Authorization', `Bearer ${tokens.volunteer}`)
+        .send({})
+        .expect(200);
+
+      const dog = await Dog.findById(dogId);
+      expect(dog.status).to.equal('adopted');
+    });
+
+    it('should not let members adopt their organization\'s dogs', async () => {
+      const dogResponse = await registerShelterDog('shelteradmin');
+
+      await request(app)
+        .put(`/api/dogs/${dogResponse.body.data.dog._id}/adopt`)
+        .set('Authorization', `Bearer ${tokens.volunteer}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should scope registered dogs to an organization', async () => {
+      await registerShelterDog('shelteradmin', 'ShelterDog1');
+      await registerShelterDog('volunteer', 'ShelterDog2');
+      await request(app)
+        .post('/api/dogs')
+        .set('Authorization', `Bearer ${tokens.volunteer}`)
+        .send({ name: 'PersonalDog', description: 'My own dog' });
+
+      const response = await request(app)
+        .get(`/api/dogs/registered?organization=${organizationId}`)
+        .set('Authorization', `Bearer ${tokens.viewer}`)
+        .expect(200);
+
+      expect(response.body.data.dogs).to.have.lengthOf(2);
+
+      await request(app)
+        .get(`/api/dogs/registered?organization=${organizationId}`)
+        .set('Authorization', `Bearer ${tokens.outsider}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const {
+  getMailTransport,
+  setMailTransport,
+  createOutboxTransport
+} = require('../services/mail');
+
+describe('Password Reset Endpoints', () => {
+  let server;
+  let outbox, originalTransport;
+  let refreshToken;
+
+  const requestReset = (email = 'walker@example.com') => {
+    return request(app)
+      .post('/api/auth/password-reset')
+      .send({ email });
+  };
+
+  const confirmReset = (token, password = 'newpassword456') => {
+    return request(app)
+      .post('/api/auth/password-reset/confirm')
+      .send({ token, password });
+  };
+
+  // Token from the reset link in the newest outbox message
+  const tokenFromOutbox = async () => {
+    const messages = await outbox.list();
+    const link = messages[messages.length - 1].text.match(/https?:\/\/\S+/)[0];
+    return new URL(link).searchParams.get('token');
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+
+    // Write mail to a throwaway outbox
+    originalTransport = getMailTransport();
+    outbox = createOutboxTransport({ dir: path.join(os.tmpdir(), `dog-adoption-outbox-${process.pid}`) });
+    setMailTransport(outbox);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await PasswordResetToken.deleteMany({});
+    await outbox.clear();
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'walker', password: 'password123', email: 'Walker@Example.com' });
+
+    refreshToken = response.body.data.refreshToken;
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await PasswordResetToken.deleteMany({});
+    await outbox.clear();
+    setMailTransport(originalTransport);
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('should store the email in lowercase and keep it unique', async () => {
+      const user = await User.findOne({ username: 'walker' });
+      expect(user.email).to.equal('walker@example.com');
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'copycat', password: 'password123', email: 'walker@example.com' })
+        .expect(400);
+
+      expect(response.body.message).to.equal('Email already exists');
+    });
+  });
+
+  describe('PUT /api/auth/email', () => {
+    let legacyToken;
+
+    beforeEach(async () => {
+      // An account from before emails could be given at registration
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'legacy', password: 'password123' });
+      legacyToken = response.body.data.token;
+    });
+
+    const updateEmail = (email, password = 'password123') => {
+      return request(app)
+        .put('/api/auth/email')
+        .set('Authorization', `Bearer ${legacyToken}`)
+        .send({ email, password });
+    };
+
+    it('should let an existing account add an email and reset with it', async () => {
+      const response = await updateEmail('Legacy@Example.com').expect(200);
+      expect(response.body.data.user.email).to.equal('legacy@example.com');
+
+      await requestReset('legacy@example.com').expect(200);
+      const messages = await outbox.list();
+      expect(messages).to.have.lengthOf(1);
+      expect(messages[0].to).to.equal('legacy@example.com');
+    });
+
+    it('should require the password', async () => {
+      const response = await updateEmail('legacy@example.com', 'wrongpassword').expect(400);
+
+      expect(response.body.message).to.equal('Password is incorrect');
+    });
+
+    it('should keep emails unique', async () => {
+      const response = await updateEmail('walker@example.com').expect(400);
+
+      expect(response.body.message).to.equal('Email already exists');
+    });
+
+    it('should retire reset links sent to the old address', async () => {
+      await updateEmail('legacy@example.com');
+      await requestReset('legacy@example.com');
+      const token = await tokenFromOutbox();
+
+      await updateEmail('new@example.com').expect(200);
+
+      await confirmReset(token).expect(400);
+    });
+  });
+
+  describe('POST /api/auth/password-reset', () => {
+    it('should email a reset link and store only a hash of the token', async () => {
+      const response = await requestReset().expect(200);
+
+      expect(response.body.message).to.equal('If an account uses that email, a reset link has been sent');
+
+      const messages = await outbox.list();
+      expect(messages).to.have.lengthOf(1);
+      expect(messages[0].to).to.equal('walker@example.com');
+
+      const token = await tokenFromOutbox();
+      const record = await PasswordResetToken.findOne({});
+      expect(record.tokenHash).to.not.equal(token);
+    });
+
+    it('should answer the same for unknown emails without sending mail', async () => {
+      const response = await requestReset('nobody@example.com').expect(200);
+
+      expect(response.body.message).to.equal('If an account uses that email, a reset link has been sent');
+      expect(await outbox.list()).to.have.lengthOf(0);
+    });
+  });
+
+  describe('POST /api/auth/password-reset/confirm', () => {
+    it('should set the new password and end existing sessions', async () => {
+      await requestReset();
+      const token = await tokenFromOutbox();
+
+      await confirmReset(token).expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'walker', password: 'password123' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'walker', password: 'newpassword456' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    it('should only accept a token once', async () => {
+      await requestReset();
+      const token = await tokenFromOutbox();
+
+      await confirmReset(token).expect(200);
+      const response = await confirmReset(token, 'anotherpassword').expect(400);
+
+      expect(response.body.message).to.equal('Invalid or expired reset token');
+    });
+
+    it('should reject expired tokens and tokens replaced by a newer request', async () => {
+      await requestReset();
+      const first = await tokenFromOutbox();
+      await requestReset();
+      const second = await tokenFromOutbox();
+
+      await confirmReset(first).expect(400);
+
+      await PasswordResetToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+      await confirmReset(second).expect(400);
+    });
+  });
+});
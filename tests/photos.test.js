@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const { getStorage, setStorage, createLocalDiskStorage } = require('../services/storage');
+
+describe('Dog Photo Endpoints', () => {
+  let server;
+  let ownerToken, otherToken;
+  let dogId;
+  let uploadDir, originalStorage;
+  let png;
+
+  const upload = (token, ...names) => {
+    const req = request(app)
+      .post(`/api/dogs/${dogId}/photos`)
+      .set('Authorization', `Bearer ${token}`);
+    names.forEach(name => req.attach('photos', png, { filename: name, contentType: 'image/png' }));
+    return req;
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+
+    // Store uploads in a throwaway directory
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dog-photos-'));
+    originalStorage = getStorage();
+    setStorage(createLocalDiskStorage({ root: uploadDir, baseUrl: '/uploads' }));
+
+    png = await sharp({
+      create: { width: 800, height: 600, channels: 3, background: { r: 200, g: 150, b: 100 } }
+    }).png().toBuffer();
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'owner', password: 'password123' });
+
+    const otherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'other', password: 'password123' });
+
+    ownerToken = ownerResponse.body.data.token;
+    otherToken = otherResponse.body.data.token;
+
+    const dogResponse = await request(app)
+      .post('/api/dogs')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Buddy', description: 'A friendly golden retriever' });
+
+    dogId = dogResponse.body.data.dog._id;
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    setStorage(originalStorage);
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('POST /api/dogs/:id/photos', () => {
+    it('should store photos with thumbnails and pick a cover', async () => {
+      const response = await upload(ownerToken, 'one.png', 'two.png').expect(201);
+
+      const photos = response.body.data.dog.photos;
+      expect(photos).to.have.lengthOf(2);
+      expect(photos[0].isCover).to.be.true;
+      expect(photos[1].isCover).to.be.false;
+      expect(photos[0].url).to.match(/^\/uploads\/dogs\//);
+
+      const thumbnail = fs.readFileSync(path.join(uploadDir, photos[0].thumbnailKey));
+      const { width, height } = await sharp(thumbnail).metadata();
+      expect(width).to.equal(320);
+      expect(height).to.equal(320);
+    });
+
+    it('should only allow the owner to upload', async () => {
+      const response = await upload(otherToken, 'one.png').expect(403);
+
+      expect(response.body.success).to.be.false;
+    });
+
+    it('should reject files that are not images', async () => {
+      const response = await request(app)
+        .post(`/api/dogs/${dogId}/photos`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .attach('photos', Buffer.from('not an image'), { filename: 'fake.png', contentType: 'image/png' })
+        .expect(400);
+
+      expect(response.body.message).to.equal('fake.png is not a valid JPEG, PNG or WebP image');
+    });
+
+    it('should reject unsupported file types', async () => {
+      const response = await request(app)
+        .post(`/api/dogs/${dogId}/photos`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .attach('photos', Buffer.from('GIF89a'), { filename: 'dog.gif', contentType: 'image/gif' })
+        .expect(400);
+
+      expect(response.body.message).to.equal('Only JPEG, PNG and WebP images are allowed');
+    });
+  });
+
+  describe('managing the gallery', () => {
+    let photos;
+
+    beforeEach(async () => {
+      const response = await upload(ownerToken, 'one.png', 'two.png', 'three.png');
+      photos = response.body.data.dog.photos;
+    });
+
+    it('should reorder photos', async () => {
+      const order = [photos[2]._id, photos[0]._id, photos[1]._id];
+
+      const response = await request(app)
+        .put(`/api/dogs/${dogId}/photos/order`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ photoIds: order })
+        .expect(200);
+
+      expect(response.body.data.dog.photos.map(photo => photo._id)).to.deep.equal(order);
+    });
+
+    it('should refuse an order that leaves photos out', async () => {
+      await request(app)
+        .put(`/api/dogs/${dogId}/photos/order`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ photoIds: [photos[0]._id] })
+        .expect(400);
+    });
+
+    it('should change the cover photo', async () => {
+      const response = await request(app)
+        .put(`/api/dogs/${dogId}/photos/${photos[1]._id}/cover`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const covers = response.body.data.dog.photos.filter(photo => photo.isCover);
+      expect(covers).to.have.lengthOf(1);
+      expect(covers[0]._id).to.equal(photos[1]._id);
+    });
+
+    it('should delete a photo and its files', async () => {
+      const response = await request(app)
+        .delete(`/api/dogs/${dogId}/photos/${photos[0]._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const remaining = response.body.data.dog.photos;
+      expect(remaining).to.have.lengthOf(2);
+      expect(remaining[0].isCover).to.be.true;
+      expect(fs.existsSync(path.join(uploadDir, photos[0].key))).to.be.false;
+    });
+
+    it('should include photos in dog listings', async () => {
+      const response = await request(app)
+        .get('/api/dogs')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(response.body.data.dogs[0].photos).to.have.lengthOf(3);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const {
+  getDeliverySink,
+  setDeliverySink,
+  createMemorySink
+} = require('../services/notifications');
+
+describe('Saved Search Endpoints', () => {
+  let server;
+  let ownerToken, searcherToken;
+  let sink, originalSink;
+
+  const saveSearch = (criteria, name = 'My search') => {
+    return request(app)
+      .post('/api/saved-searches')
+      .set('Authorization', `Bearer ${searcherToken}`)
+      .send({ name, criteria });
+  };
+
+  const listDog = (dog) => {
+    return request(app)
+      .post('/api/dogs')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ description: 'A lovely dog', ...dog });
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+
+    // Capture deliveries instead of sending them anywhere
+    originalSink = getDeliverySink();
+    sink = createMemorySink();
+    setDeliverySink(sink);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await SavedSearch.deleteMany({});
+    await Notification.deleteMany({});
+    sink.clear();
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'owner', password: 'password123' });
+
+    const searcherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'searcher', password: 'password123' });
+
+    ownerToken = ownerResponse.body.data.token;
+    searcherToken = searcherResponse.body.data.token;
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    await SavedSearch.deleteMany({});
+    await Notification.deleteMany({});
+    setDeliverySink(originalSink);
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('CRUD', () => {
+    it('should save a search with normalized criteria', async () => {
+      const response = await saveSearch({ size: 'small,medium', goodWithKids: 'true' }).expect(201);
+
+      expect(response.body.data.savedSearch.criteria.size).to.deep.equal(['small', 'medium']);
+      expect(response.body.data.savedSearch.criteria.goodWithKids).to.equal(true);
+      expect(response.body.data.savedSearch.alertsEnabled).to.be.true;
+    });
+
+    it('should validate criteria', async () => {
+      const response = await saveSearch({ size: 'gigantic' }).expect(400);
+
+      expect(response.body.message).to.equal('Validation failed');
+    });
+
+    it('should update and delete a saved search', async () => {
+      const created = await saveSearch({ size: 'small' });
+      const id = created.body.data.savedSearch._id;
+
+      const updated = await request(app)
+        .put(`/api/saved-searches/${id}`)
+        .set('Authorization', `Bearer ${searcherToken}`)
+        .send({ alertsEnabled: false })
+        .expect(200);
+
+      expect(updated.body.data.savedSearch.alertsEnabled).to.be.false;
+
+      await request(app)
+        .delete(`/api/saved-searches/${id}`)
+        .set('Authorization', `Bearer ${searcherToken}`)
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/saved-searches')
+        .set('Authorization', `Bearer ${searcherToken}`)
+        .expect(200);
+
+      expect(list.body.data.savedSearches).to.have.lengthOf(0);
+    });
+
+    it('should not expose other users\' searches', async () => {
+      const created = await saveSearch({ size: 'small' });
+
+      await request(app)
+        .get(`/api/saved-searches/${created.body.data.savedSearch._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('alerts on new listings', () => {
+    it('should notify when a new dog matches', async () => {
+      await saveSearch({ size: 'small', q: 'terrier' }, 'Small terriers');
+
+      await listDog({ name: 'Big', size: 'large', breed: 'Terrier' });
+      await listDog({ name: 'Scruffy', size: 'small', breed: 'Border Terrier' });
+
+      expect(sink.deliveries).to.have.lengthOf(1);
+      expect(sink.deliveries[0].title).to.equal('New match for "Small terriers"');
+
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${searcherToken}`)
+        .expect(200);
+
+      expect(response.body.data.notifications).to.have.lengthOf(1);
+      expect(response.body.data.notifications[0].type).to.equal('saved_search_match');
+    });
+
+    it('should match breed ignoring case and require flags the dog has', async () => {
+      await saveSearch({ breed: 'border terrier', houseTrained: true });
+
+      await listDog({ name: 'Untrained', breed: 'Border Terrier', houseTrained: false });
+      await listDog({ name: 'Unknown', breed: 'Border Terrier' });
+      await listDog({ name: 'Scruffy', breed: 'Border Terrier', houseTrained: true });
+
+      expect(sink.deliveries).to.have.lengthOf(1);
+      expect(sink.deliveries[0].message).to.include('Scruffy');
+    });
+
+    it('should match on location', async () => {
+      await saveSearch({ location: { lat: 51.5, lng: -0.12, radiusKm: 30 } });
+
+      await listDog({ name: 'Far', location: { lat: 55.95, lng: -3.19 } });
+      await listDog({ name: 'Near', location: { lat: 51.51, lng: -0.13 } });
+
+      expect(sink.deliveries).to.have.lengthOf(1);
+      expect(sink.deliveries[0].message).to.include('Near');
+    });
+
+    it('should not alert when alerts are disabled', async () => {
+      const created = await saveSearch({});
+      await request(app)
+        .put(`/api/saved-searches/${created.body.data.savedSearch._id}`)
+        .set('Authorization', `Bearer ${searcherToken}`)
+        .send({ alertsEnabled: false });
+
+      await listDog({ name: 'Rex' });
+
+      expect(sink.deliveries).to.have.lengthOf(0);
+    });
+  });
+});
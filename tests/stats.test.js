@@ -0,0 +1,170 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Dog = require('../models/Dog');
+const { median } = require('../services/adoptionStats');
+
+describe('Stats Endpoints', () => {
+  let server;
+  let tokens, ids;
+
+  const register = async (username) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ username, password: 'password123' });
+    tokens[username] = response.body.data.token;
+    ids[username] = response.body.data.user.id;
+  };
+
+  // List a dog with fixed dates so durations and periods are predictable
+  const listDog = async (owner, { createdAt, adoptedAt = null, removedAt = null }) => {
+    const dog = await Dog.create({
+      name: 'Dog',
+      description: 'A lovely dog',
+      owner: ids[owner],
+      status: adoptedAt ? 'adopted' : 'available',
+      adopter: adoptedAt ? ids.adopter : null
+    });
+    await Dog.collection.updateOne(
+      { _id: dog._id },
+      { $set: { createdAt: new Date(createdAt), adoptedAt: adoptedAt && new Date(adoptedAt), removedAt: removedAt && new Date(removedAt) } }
+    );
+  };
+
+  const getStats = (path, token = tokens.alice) => {
+    return request(app)
+      .get(path)
+      .set('Authorization', `Bearer ${token}`);
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+
+    tokens = {};
+    ids = {};
+    await register('alice');
+    await register('bob');
+    await register('adopter');
+
+    await listDog('alice', { createdAt: '2024-01-01', adoptedAt: '2024-01-11' });
+    await listDog('alice', { createdAt: '2024-01-05', adoptedAt: '2024-02-04' });
+    await listDog('alice', { createdAt: '2024-02-10' });
+    await listDog('bob', { createdAt: '2024-02-01', adoptedAt: '2024-02-21' });
+    await listDog('bob', { createdAt: '2024-03-01', removedAt: '2024-03-02' });
+  });
+
+  after(async () => {
+    await User.deleteMany({});
+    await Dog.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('GET /api/stats', () => {
+    it('should aggregate listings and adoptions, leaving out removed dogs', async () => {
+      const response = await getStats('/api/stats').expect(200);
+      const { stats } = response.body.data;
+
+      expect(stats.totalListed).to.equal(4);
+      expect(stats.totalAdopted).to.equal(3);
+      expect(stats.adoptionRate).to.equal(0.75);
+      expect(stats.medianDaysToAdoption).to.equal(20);
+      expect(stats.adoptionsOverTime.interval).to.equal('month');
+      expect(stats.adoptionsOverTime.periods).to.deep.equal([
+        { start: '2024-01-01T00:00:00.000Z', adoptions: 1 },
+        { start: '2024-02-01T00:00:00.000Z', adoptions: 2 }
+      ]);
+      expect(stats.topOwners[0]).to.include({ username: 'alice', adoptions: 2 });
+      expect(stats.topOwners[1]).to.include({ username: 'bob', adoptions: 1 });
+    });
+
+    it('should keep counting adoptions that ended in a return', async () => {
+      const dog = await Dog.create({ name: 'Dog', description: 'A lovely dog', owner: ids.bob });
+      await Dog.collection.updateOne(
+        { _id: dog._id },
+        {
+          $set: {
+            createdAt: new Date('2024-03-01'),
+            status: 'adopted',
+            adopter: ids.adopter,
+            adoptedAt: new Date('2024-03-25'),
+            pastAdoptions: [{
+              adopter: new mongoose.Types.ObjectId(ids.adopter),
+              adoptedAt: new Date('2024-03-11'),
+              returnedAt: new Date('2024-03-20'),
+              reason: 'Allergies'
+            }]
+          }
+        }
+      );
+
+      const response = await getStats('/api/stats').expect(200);
+      const { stats } = response.body.data;
+
+      expect(stats.totalListed).to.equal(5);
+      expect(stats.totalAdopted).to.equal(5);
+      expect(stats.adoptionRate).to.equal(0.8);
+      // 10 days to the first adoption, then 5 from the return to the next
+      expect(stats.medianDaysToAdoption).to.equal(10);
+      expect(stats.adoptionsOverTime.periods[2]).to.deep.equal({ start: '2024-03-01T00:00:00.000Z', adoptions: 2 });
+      expect(stats.topOwners[0]).to.include({ username: 'bob', adoptions: 3 });
+    });
+
+    it('should filter by date range and group by week', async () => {
+      const response = await getStats('/api/stats?from=2024-02-01&to=2024-02-29&interval=week').expect(200);
+      const { stats } = response.body.data;
+
+      expect(stats.totalListed).to.equal(2);
+      expect(stats.totalAdopted).to.equal(2);
+      expect(stats.adoptionsOverTime.periods.map(period => period.start)).to.deep.equal([
+        '2024-01-29T00:00:00.000Z',
+        '2024-02-19T00:00:00.000Z'
+      ]);
+    });
+
+    it('should validate the date range', async () => {
+      const response = await getStats('/api/stats?from=2024-03-01&to=2024-02-01').expect(400);
+
+      expect(response.body.errors[0].msg).to.equal('To must not be before from');
+    });
+  });
+
+  describe('GET /api/stats/owners/:id', () => {
+    it('should limit the statistics to one owner\'s dogs', async () => {
+      const response = await getStats(`/api/stats/owners/${ids.alice}`).expect(200);
+      const { stats } = response.body.data;
+
+      expect(response.body.data.owner.username).to.equal('alice');
+      expect(stats.totalListed).to.equal(3);
+      expect(stats.totalAdopted).to.equal(2);
+      expect(stats.medianDaysToAdoption).to.equal(20);
+      expect(stats).to.not.have.property('topOwners');
+    });
+
+    it('should not show other owners\' statistics to regular users', async () => {
+      await getStats(`/api/stats/owners/${ids.bob}`).expect(403);
+    });
+  });
+
+  describe('median', () => {
+    it('should average the two middle values of an even list', () => {
+      expect(median([1, 2, 4, 10])).to.equal(3);
+      expect(median([5])).to.equal(5);
+      expect(median([])).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,291 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginChallenge = require('../models/LoginChallenge');
+const { getClock, setClock } = require('../services/twoFactor');
+const { setDelay, getDelay } = require('../services/loginThrottle');
+const { generateTotp } = require('../utils/totp');
+
+describe('Two-Factor Authentication', () => {
+  let server;
+  let originalClock, originalDelay;
+  let token;
+  let now;
+
+  // Codes are generated and checked against the same fixed clock
+  const codeAt = (secret, time = now) => generateTotp(secret, time);
+
+  const login = (password = 'password123') => request(app)
+    .post('/api/auth/login')
+    .send({ username: 'staffer', password });
+
+  const verifyLogin = (challengeToken, code) => request(app)
+    .post('/api/auth/login/2fa')
+    .send({ challengeToken, code });
+
+  // Run setup and verification, returning the secret and recovery codes
+  const enableTwoFactor = async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    const { secret } = setup.body.data;
+
+    const verify = await request(app)
+      .post('/api/auth/2fa/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: codeAt(secret) })
+      .expect(200);
+
+    // Later codes come from the next time step
+    now += 30 * 1000;
+    return { secret, recoveryCodes: verify.body.data.recoveryCodes };
+  };
+
+  before(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dogadoption_test');
+    }
+    server = app.listen(0);
+
+    originalClock = getClock();
+    originalDelay = getDelay();
+    setClock(() => now);
+    setDelay(async () => {});
+  });
+
+  beforeEach(async () => {
+    // Clean up data before each test
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await LoginChallenge.deleteMany({});
+    now = Date.UTC(2024, 0, 15, 12, 0, 0);
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'staffer', password: 'password123' });
+    token = response.body.data.token;
+  });
+
+  after(async () => {
+    setClock(originalClock);
+    setDelay(originalDelay);
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    await LoginChallenge.deleteMany({});
+    if (server) server.close();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  });
+
+  describe('Setup', () => {
+    it('should return a secret and an otpauth URI', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.secret).to.match(/^[A-Z2-7]{32}$/);
+      expect(response.body.data.otpauthUri).to.match(/^otpauth:\/\/totp\/Dog%20Adoption%20Platform%3Astaffer\?secret=/);
+    });
+
+    it('should not enable two-factor before a code is verified', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await login().expect(200);
+      expect(response.body.data.token).to.exist;
+    });
+
+    it('should reject a wrong code', async () => {
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: codeAt(setup.body.data.secret, now - 5 * 60 * 1000) })
+        .expect(400);
+
+      expect(response.body.message).to.equal('Invalid two-factor code');
+    });
+
+    it('should require setup before verifying', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '123456' })
+        .expect(400);
+
+      expect(response.body.message).to.equal('Start two-factor setup first');
+    });
+
+    it('should enable two-factor and store only hashes of the recovery codes', async () => {
+      const { recoveryCodes } = await enableTwoFactor();
+
+      expect(recoveryCodes).to.have.length(10);
+      recoveryCodes.forEach(code => expect(code).to.match(/^[A-Z2-7]{4}-[A-Z2-7]{4}$/));
+
+      const user = await User.findOne({ username: 'staffer' }).select('+twoFactor.recoveryCodes');
+      expect(user.twoFactor.recoveryCodes).to.have.length(10);
+      expect(user.twoFactor.recoveryCodes).to.not.include(recoveryCodes[0]);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(profile.body.data.user.twoFactorEnabled).to.be.true;
+      expect(profile.body.data.user.twoFactor).to.not.exist;
+    });
+
+    it('should not start setup again once enabled', async () => {
+      await enableTwoFactor();
+
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/auth/login/2fa', () => {
+    it('should ask for a code instead of issuing tokens', async () => {
+      await enableTwoFactor();
+
+      const response = await login().expect(200);
+
+      expect(response.body.data.twoFactorRequired).to.be.true;
+      expect(response.body.data.challengeToken).to.exist;
+      expect(response.body.data.token).to.not.exist;
+      expect(response.body.data.refreshToken).to.not.exist;
+    });
+
+    it('should issue tokens for a valid code', async () => {
+      const { secret } = await enableTwoFactor();
+      const challenge = await login();
+
+      const response = await verifyLogin(challenge.body.data.challengeToken, codeAt(secret)).expect(200);
+
+      expect(response.body.message).to.equal('Login successful');
+      expect(response.body.data.token).to.exist;
+      expect(response.body.data.refreshToken).to.exist;
+    });
+
+    it('should accept a code from the previous time step', async () => {
+      const { secret } = await enableTwoFactor();
+      const challenge = await login();
+      now += 30 * 1000;
+
+      await verifyLogin(challenge.body.data.challengeToken, codeAt(secret, now - 30 * 1000)).expect(200);
+    });
+
+    it('should reject a wrong code', async () => {
+      const { secret } = await enableTwoFactor();
+      const challenge = await login();
+
+      const response = await verifyLogin(challenge.body.data.challengeToken, codeAt(secret, now + 10 * 60 * 1000))
+        .expect(401);
+
+      expect(response.body.message).to.equal('Invalid two-factor code');
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { secret } = await enableTwoFactor();
+      const code = codeAt(secret);
+
+      const first = await login();
+      await verifyLogin(first.body.data.challengeToken, code).expect(200);
+
+      const second = await login();
+      await verifyLogin(second.body.data.challengeToken, code).expect(401);
+    });
+
+    it('should use each challenge only once', async () => {
+      const { secret } = await enableTwoFactor();
+      const challenge = await login();
+
+      await verifyLogin(challenge.body.data.challengeToken, codeAt(secret)).expect(200);
+
+      now += 30 * 1000;
+      const response = await verifyLogin(challenge.body.data.challengeToken, codeAt(secret)).expect(401);
+      expect(response.body.message).to.equal('Invalid or expired login challenge');
+    });
+
+    it('should reject an unknown challenge', async () => {
+      await verifyLogin('not-a-challenge', '123456').expect(401);
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enableTwoFactor();
+
+      const first = await login();
+      await verifyLogin(first.body.data.challengeToken, recoveryCodes[0].toLowerCase()).expect(200);
+
+      const second = await login();
+      await verifyLogin(second.body.data.challengeToken, recoveryCodes[0]).expect(401);
+    });
+
+    it('should lock out after too many wrong codes', async () => {
+      const { secret } = await enableTwoFactor();
+      const challenge = await login();
+      const wrongCode = codeAt(secret, now + 10 * 60 * 1000);
+
+      for (let i = 0; i < 4; i += 1) {
+        await verifyLogin(challenge.body.data.challengeToken, wrongCode).expect(401);
+      }
+      await verifyLogin(challenge.body.data.challengeToken, wrongCode).expect(429);
+      await verifyLogin(challenge.body.data.challengeToken, codeAt(secret)).expect(429);
+    });
+  });
+
+  describe('DELETE /api/auth/2fa', () => {
+    it('should require the password', async () => {
+      await enableTwoFactor();
+
+      const response = await request(app)
+        .delete('/api/auth/2fa')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'wrongpassword' })
+        .expect(400);
+
+      expect(response.body.message).to.equal('Password is incorrect');
+    });
+
+    it('should turn off two-factor', async () => {
+      await enableTwoFactor();
+
+      await request(app)
+        .delete('/api/auth/2fa')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'password123' })
+        .expect(200);
+
+      const response = await login().expect(200);
+      expect(response.body.data.token).to.exist;
+
+      const user = await User.findOne({ username: 'staffer' }).select('+twoFactor.secret');
+      expect(user.twoFactor.secret).to.not.exist;
+    });
+
+    it('should report when two-factor is not enabled', async () => {
+      const response = await request(app)
+        .delete('/api/auth/2fa')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'password123' })
+        .expect(400);
+
+      expect(response.body.message).to.equal('Two-factor authentication is not enabled');
+    });
+  });
+});
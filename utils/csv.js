@@ -0,0 +1,111 @@
+// Minimal RFC 4180 CSV reading and writing: comma separated, fields quoted
+// with double quotes when they contain commas, quotes or line breaks.
+
+// Split CSV text into rows of raw field values
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Ignore a leading byte order mark from spreadsheet exports
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Header segments that would reach Object.prototype instead of the record
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Parse CSV with a header row into one object per line. Dotted headers
+// ("location.lat") build nested objects and empty cells are left out.
+const parseCsv = (text) => {
+  const [header = [], ...lines] = parseRows(text);
+  const columns = header.map(column => column.trim());
+
+  const unsafe = columns.find(column => column.split('.').some(key => UNSAFE_KEYS.includes(key)));
+  if (unsafe) {
+    throw new Error(`Invalid CSV column "${unsafe}"`);
+  }
+
+  return lines.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      const value = cells[index] === undefined ? '' : cells[index].trim();
+      if (!column || value === '') return;
+
+      const keys = column.split('.');
+      const last = keys.pop();
+      const target = keys.reduce((parent, key) => {
+        if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+          parent[key] = {};
+        }
+        return parent[key];
+      }, record);
+      target[last] = value;
+    });
+    return record;
+  });
+};
+
+// Text starting with one of these opens as a formula in spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value for a CSV cell when needed. Free text that looks like a
+// formula gets a leading ' so spreadsheets show it instead of running it.
+const formatCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line for a list of values
+const toCsvLine = (values) => `${values.map(formatCell).join(',')}\r\n`;
+
+// CSV text for records, with the given columns as the header
+const toCsv = (records, columns) => {
+  return toCsvLine(columns) + records.map(record => toCsvLine(columns.map(column => record[column]))).join('');
+};
+
+module.exports = {
+  parseCsv,
+  toCsvLine,
+  toCsv
+};
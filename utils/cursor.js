@@ -0,0 +1,57 @@
+// Opaque cursors for keyset pagination. A cursor holds the sort it belongs
+// to plus the sort value and _id of the last item on a page, as base64url JSON.
+
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+
+// Build the cursor that continues after the item with this sort value and _id
+const encodeCursor = (sort, value, id) => {
+  const payload = {
+    s: sort,
+    v: value instanceof Date ? { date: value.toISOString() } : value,
+    id: id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Sort values a cursor may carry: strings, finite numbers, dates or null.
+// Anything else (such as an object) could reach a query as an operator.
+const isSortValue = (value) => {
+  if (value === null || typeof value === 'string') return true;
+  if (typeof value === 'number') return Number.isFinite(value);
+  return typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length === 1 && typeof value.date === 'string';
+};
+
+// Read a cursor back; returns null for anything that is not a valid cursor.
+// When sorts is given, the cursor must belong to one of those sorts.
+const decodeCursor = (cursor, sorts = null) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || typeof payload.s !== 'string' || typeof payload.id !== 'string' || !OBJECT_ID.test(payload.id)) {
+    return null;
+  }
+  if (sorts && !sorts.includes(payload.s)) {
+    return null;
+  }
+
+  let value = payload.v === undefined ? null : payload.v;
+  if (!isSortValue(value)) {
+    return null;
+  }
+  if (value && value.date) {
+    value = new Date(value.date);
+    if (isNaN(value)) return null;
+  }
+
+  return { sort: payload.s, value, id: payload.id };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
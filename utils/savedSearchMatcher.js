@@ -0,0 +1,100 @@
+const { parseSearchQuery, escapeRegex } = require('./search');
+const { distanceKm } = require('./geo');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+const FLAGS = ['houseTrained', 'goodWithKids', 'goodWithCats', 'goodWithDogs', 'spayedNeutered'];
+
+// Mirrors MongoDB $text: every phrase must appear, and at least one
+// term when there are any. Terms match as word prefixes to approximate stemming.
+const matchesText = (dog, q) => {
+  const text = [dog.name, dog.breed, dog.description].filter(Boolean).join(' ');
+  const { phrases, terms } = parseSearchQuery(q);
+
+  const hasPhrases = phrases.every(phrase => {
+    return new RegExp(escapeRegex(phrase).replace(/\s+/g, '\\s+'), 'i').test(text);
+  });
+  const hasTerm = terms.length === 0 || terms.some(term => {
+    const stem = term.replace(/(es|s)$/i, '') || term;
+    return new RegExp(`\\b${escapeRegex(stem)}`, 'i').test(text);
+  });
+
+  return hasPhrases && hasTerm;
+};
+
+const ageOf = (dog) => Math.floor((Date.now() - new Date(dog.birthDate).getTime()) / YEAR_MS);
+
+// MongoDB filter for saved searches whose criteria could match a dog. It
+// covers every criterion except location and text, so matchesCriteria only
+// has to confirm the few searches it returns.
+const criteriaQuery = (dog) => {
+  const unset = (field) => ({ [`criteria.${field}`]: null });
+  const conditions = [
+    { $or: [unset('status'), { 'criteria.status': dog.status }] },
+    {
+      $or: dog.breed
+        ? [unset('breed'), { 'criteria.breed': '' }, { 'criteria.breed': new RegExp(`^${escapeRegex(dog.breed)}$`, 'i') }]
+        : [unset('breed'), { 'criteria.breed': '' }]
+    }
+  ];
+
+  for (const field of ['size', 'sex', 'energyLevel']) {
+    const options = [unset(field), { [`criteria.${field}`]: { $size: 0 } }];
+    if (dog[field]) options.push({ [`criteria.${field}`]: dog[field] });
+    conditions.push({ $or: options });
+  }
+
+  for (const field of FLAGS) {
+    conditions.push(typeof dog[field] === 'boolean'
+      ? { [`criteria.${field}`]: { $in: [null, dog[field]] } }
+      : unset(field));
+  }
+
+  if (dog.birthDate) {
+    const age = ageOf(dog);
+    conditions.push({ $or: [unset('minAge'), { 'criteria.minAge': { $lte: age } }] });
+    conditions.push({ $or: [unset('maxAge'), { 'criteria.maxAge': { $gte: age } }] });
+  } else {
+    conditions.push(unset('minAge'), unset('maxAge'));
+  }
+
+  return { $and: conditions };
+};
+
+// Check a dog against saved search criteria, in memory
+const matchesCriteria = (dog, criteria = {}) => {
+  if (criteria.status && dog.status !== criteria.status) return false;
+
+  if (criteria.breed && (dog.breed || '').toLowerCase() !== criteria.breed.toLowerCase()) {
+    return false;
+  }
+
+  for (const field of ['size', 'sex', 'energyLevel']) {
+    if (criteria[field] && criteria[field].length > 0 && !criteria[field].includes(dog[field])) {
+      return false;
+    }
+  }
+
+  for (const field of FLAGS) {
+    if (typeof criteria[field] === 'boolean' && dog[field] !== criteria[field]) return false;
+  }
+
+  if (criteria.minAge != null || criteria.maxAge != null) {
+    if (!dog.birthDate) return false;
+    const age = ageOf(dog);
+    if (criteria.minAge != null && age < criteria.minAge) return false;
+    if (criteria.maxAge != null && age > criteria.maxAge) return false;
+  }
+
+  if (criteria.location && criteria.location.lat != null) {
+    const point = dog.location && dog.location.point;
+    if (!point || !point.coordinates || point.coordinates.length !== 2) return false;
+    const [lng, lat] = point.coordinates;
+    if (distanceKm(criteria.location, { lat, lng }) > criteria.location.radiusKm) return false;
+  }
+
+  if (criteria.q && !matchesText(dog, criteria.q)) return false;
+
+  return true;
+};
+
+module.exports = { criteriaQuery, matchesCriteria };
@@ -0,0 +1,84 @@
+// Helpers for the full-text search on dog listings
+
+const SNIPPET_RADIUS = 60;
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search string into quoted phrases and single terms,
+// following MongoDB $text syntax (negated terms are dropped)
+const parseSearchQuery = (q = '') => {
+  const phrases = [];
+  const withoutPhrases = q.replace(/"([^"]+)"/g, (match, phrase) => {
+    phrases.push(phrase.trim());
+    return ' ';
+  });
+
+  const terms = withoutPhrases
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'));
+
+  return { phrases: phrases.filter(Boolean), terms };
+};
+
+// Build a regex that finds the search words in text. MongoDB stems terms,
+// so single words match as a prefix of any word ("retrievers" -> "retriever...")
+const buildMatcher = (q) => {
+  const { phrases, terms } = parseSearchQuery(q);
+  const patterns = [
+    ...phrases.map(phrase => escapeRegex(phrase).replace(/\s+/g, '\\s+')),
+    ...terms.map(term => `\\b${escapeRegex(term.replace(/(es|s)$/i, '') || term)}\\w*`)
+  ];
+
+  if (patterns.length === 0) return null;
+  return new RegExp(`(${patterns.join('|')})`, 'gi');
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text for use inside HTML
+const escapeHtml = (value) => value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Return a short excerpt around the first match with matches wrapped in <mark>.
+// The text is user input, so everything outside the marks is HTML-escaped.
+const highlight = (text, matcher) => {
+  if (!text || !matcher) return null;
+
+  matcher.lastIndex = 0;
+  const first = matcher.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  // Splitting on the matcher's one capture group alternates text and matches
+  const excerpt = text.slice(start, end)
+    .split(matcher)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+};
+
+// Highlighted snippets for each searchable field of a dog that matched
+const buildHighlights = (dog, q) => {
+  const matcher = buildMatcher(q);
+  const highlights = {};
+
+  ['name', 'breed', 'description'].forEach(field => {
+    const snippet = highlight(dog[field], matcher);
+    if (snippet) {
+      highlights[field] = snippet;
+    }
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  escapeRegex,
+  escapeHtml,
+  parseSearchQuery,
+  buildMatcher,
+  highlight,
+  buildHighlights
+};
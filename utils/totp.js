@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1 over 30 second steps, 6 digits, secrets shared in base32.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Base32 (RFC 4648) without padding
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode base32, ignoring case, spaces and padding
+const base32Decode = (text) => {
+  const input = String(text).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of input) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// A new random 160-bit secret, base32 encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The time step a moment (in ms) falls in
+const timeStep = (time) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP (RFC 4226) code for a counter
+const hotp = (secret, counter, digits = DIGITS) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// The code an authenticator app shows at a moment (in ms)
+const generateTotp = (secret, time) => hotp(secret, timeStep(time));
+
+// The time step a code belongs to, or null when it does not match. A step
+// either side of the current one is accepted to allow for clock drift.
+const verifyTotp = (secret, code, time, window = 1) => {
+  const current = timeStep(time);
+  const expected = Buffer.from(String(code));
+
+  for (let step = current - window; step <= current + window; step += 1) {
+    const candidate = Buffer.from(hotp(secret, step));
+    if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = { secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS };
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `otpauth://totp/${label}?${query}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  otpauthUri
+};